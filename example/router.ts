@@ -1,13 +1,61 @@
 
-import { Hono, Env } from 'hono';
+import { Hono, Env, Context, MiddlewareHandler } from 'hono';
+import { jsx } from 'hono/jsx';
+import { jsxRenderer } from 'hono/jsx-renderer';
 
-import * as index from './routes';
-import * as about_this from './routes/about-this';
 import * as users_user_id from './routes/users/[user_id]';
+import * as layout from './routes/_layout';
+import * as about_this from './routes/about-this';
+import * as index from './routes';
+
+type Component = (props: any, c: Context) => any;
+
+const renderPage = (Page: Component): MiddlewareHandler => async (c) =>
+	c.render(jsx((params: Record<string, string>) => Page(params, c), c.req.param()) as any);
+
+const renderLayout = (Layout: Component): MiddlewareHandler =>
+	jsxRenderer(({ Layout: Outer, children, ...props }, c) =>
+		jsx(Outer, props, jsx((props: any) => Layout(props, c), props, children)) as any
+	);
 
 export const loadRoutes = <T extends Env>(app: Hono<T>) => {
-	app.get('/', index.onRequestGet);
-	app.get('/about-this', ...about_this.onRequestGet);
-	app.get('/users/:user_id', users_user_id.onRequestGet);
+	app.use('/*', renderLayout(layout.default));
+	app.get('/users/:user_id', renderPage(users_user_id.default));
 	app.post('/users/:user_id', users_user_id.onRequestPost);
-};
\ No newline at end of file
+	app.get('/about-this', ...about_this.onRequestGet);
+	app.get('/', renderPage(index.default));
+};
+
+export const routes = [
+	{ method: 'GET', path: '/users/:user_id', params: [{ name: 'user_id', greedy: false }], file: 'users/[user_id].tsx' },
+	{ method: 'POST', path: '/users/:user_id', params: [{ name: 'user_id', greedy: false }], file: 'users/[user_id].tsx' },
+	{ method: 'GET', path: '/about-this', params: [], file: 'about-this.tsx' },
+	{ method: 'GET', path: '/', params: [], file: 'index.tsx' },
+] as const;
+
+export type RouteParams = {
+	'/users/:user_id': { 'user_id': string | number; };
+	'/about-this': {};
+	'/': {};
+};
+
+export type RoutePath = keyof RouteParams;
+
+export const url = <P extends RoutePath>(
+	path: P,
+	...[params]: {} extends RouteParams[P] ? [params?: RouteParams[P]] : [params: RouteParams[P]]
+): string =>
+	path
+		.split('/')
+		.flatMap((segment) => {
+			const match = segment.match(/^:([^{?]+)(\{.*\})?(\?)?$/);
+			if (!match) return [segment];
+			const param = (params as Record<string, string | number> | undefined)?.[match[1]];
+			// An optional param that isn't given is left out
+			if (param === undefined && match[3]) return [];
+			const value = String(param ?? '');
+			return match[2] === '{.+}' || match[2] === '{.*}'
+				? [value.split('/').map(encodeURIComponent).join('/')]
+				: [encodeURIComponent(value)];
+		})
+		.join('/') || '/';
@@ -0,0 +1,10 @@
+import type { PropsWithChildren } from 'hono/jsx';
+
+export default ({ children }: PropsWithChildren) => (
+	<html>
+		<body>
+			<header>Example</header>
+			{children}
+		</body>
+	</html>
+);
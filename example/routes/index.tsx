@@ -1,5 +1 @@
-import { Context } from 'hono';
-
-export const onRequestGet = async (c: Context) => {
-	c.render(<h1>Hello, World!</h1>);
-};
+export default () => <h1>Hello, World!</h1>;
@@ -1,7 +1,12 @@
 #!/usr/bin/env node
 
 const fs = require("fs");
+const http = require("http");
 const path = require("path");
+const { Module, createRequire } = require("module");
+const { pathToFileURL } = require("url");
+const parser = require("@babel/parser");
+const picomatch = require("picomatch");
 
 const colors = {
   red: "\x1b[31m",
@@ -16,260 +21,3969 @@ const colors = {
 
 /**
  * @typedef {Object} Route
- * @property {string} method
+ * @property {string} method HTTP method, `ALL` for catch-all handlers and middleware
  * @property {string} path
  * @property {string} handler
+ * @property {string} module name the route's module is imported as
+ * @property {string} exportName
  * @property {boolean} isFactory
+ * @property {boolean} isMiddleware
+ * @property {RouteParam[]} params
+ * @property {string} file source file, relative to the routes directory
+ * @property {string} root routes directory the file was found in
+ * @property {RouteHandler[]} middleware route group middleware to run first
+ * @property {string[]} validators names of the module's `validate` exports
+ * that check requests before the handler runs
+ * @property {string[]} configs names of the module's `config` exports, which
+ * add middleware such as CORS and caching before the handler
+ * @property {Component} [component] how the export is rendered, if it is a
+ * JSX component
  */
 
 /**
- * Get exported methods from file content
+ * @typedef {Object} RouteHandler
+ * @property {string} handler
+ * @property {string} module
+ * @property {string} exportName
+ * @property {boolean} isFactory
+ * @property {string} file source file, relative to the routes directory
+ * @property {Component} [component]
+ */
+
+/**
+ * A JSX component exported by a route file: a `page` rendered for GET
+ * requests with the route's params as props, or a `layout` that pages
+ * under its directory are rendered in
+ * @typedef {"page" | "layout"} Component
+ */
+
+/**
+ * @typedef {Object} RouteParam
+ * @property {string} name
+ * @property {boolean} greedy whether the param can span several segments
+ * @property {boolean} [optional] whether the param can be left out
+ * @property {string} [pattern] regular expression the param must match
+ */
+
+/**
+ * @typedef {Object} ExportedMethod
+ * @property {string} method HTTP method
+ * @property {string} exportName
+ * @property {boolean} isFactory
+ * @property {string[]} validators names of the `validate` exports that
+ * apply to the method
+ * @property {string[]} configs names of the `config` exports that apply to
+ * the method
+ * @property {Component} [component]
+ */
+
+/**
+ * Hono app methods for the HTTP methods that have a shorthand; any other
+ * method is registered with `app.on(method, path, handler)`
+ */
+const appMethods = {
+  GET: "get",
+  PUT: "put",
+  POST: "post",
+  DELETE: "delete",
+  PATCH: "patch",
+  OPTIONS: "options",
+  ALL: "all",
+};
+
+/**
+ * HTTP methods recognised without being declared with `--method`
+ */
+const defaultMethods = ["GET", "PUT", "POST", "DELETE", "PATCH", "OPTIONS", "HEAD"];
+
+/**
+ * Get the export name handling an HTTP method, e.g. `GET` -> `onRequestGet`,
+ * `VERSION-CONTROL` -> `onRequestVersionControl` and `ALL` -> `onRequest`
+ * @param {string} method
+ * @returns {string}
+ */
+const methodExportName = (method) =>
+  method === "ALL"
+    ? "onRequest"
+    : "onRequest" +
+      method
+        .toLowerCase()
+        .split("-")
+        .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+        .join("");
+
+/**
+ * File extensions tried when resolving a relative re-export
+ */
+const resolveExtensions = [".ts", ".tsx", ".mts", ".cts", ".js", ".jsx", ".mjs", ".cjs"];
+
+/**
+ * Parse a module into a Babel AST, enabling JSX only for JSX-capable files
+ * so that TypeScript generics like `<T>(x: T) => x` parse correctly.
+ * Throws on syntax errors, including those Babel recovers from, since the
+ * exports of a partial AST would leave routes out of the router
  * @param {string} fileContent
- * @returns {Array<{method: string, isFactory: boolean}>}
- */
-const getExportedMethods = (fileContent) => {
-  const methods = [
-    "onRequestGet",
-    "onRequestPut",
-    "onRequestPost",
-    "onRequestDelete",
-    "onRequestPatch",
-    "onRequestOptions",
+ * @param {string} filePath
+ */
+const parseModule = (fileContent, filePath) => {
+  const ext = path.extname(filePath);
+  const plugins = [".ts", ".mts", ".cts"].includes(ext)
+    ? ["typescript"]
+    : [".js", ".jsx", ".mjs", ".cjs"].includes(ext)
+    ? ["jsx"]
+    : ["typescript", "jsx"];
+  const ast = parser.parse(fileContent, {
+    sourceType: "module",
+    plugins,
+    errorRecovery: true,
+  });
+  // Babel's messages end with the location, e.g. `(3:6)`
+  if (ast.errors?.length) throw ast.errors[0];
+  return ast;
+};
+
+/**
+ * Resolve a relative import specifier to a file on disk
+ * @param {string} source
+ * @param {string} fromFile
+ * @returns {string | undefined}
+ */
+const resolveModule = (source, fromFile) => {
+  if (!source.startsWith(".")) return undefined;
+  const base = path.resolve(path.dirname(fromFile), source);
+  const candidates = [
+    base,
+    // Node ESM style specifiers point at the compiled `.js` file
+    ...[".js", ".jsx", ".mjs", ".cjs"].flatMap((ext) =>
+      base.endsWith(ext)
+        ? resolveExtensions.map((e) => base.slice(0, -ext.length) + e)
+        : []
+    ),
+    ...resolveExtensions.map((ext) => base + ext),
+    ...resolveExtensions.map((ext) => path.join(base, "index" + ext)),
   ];
+  return candidates.find(
+    (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+  );
+};
+
+/**
+ * Strip wrappers that don't change the runtime value of an expression
+ * @param {import("@babel/types").Node} node
+ */
+const unwrapExpression = (node) => {
+  while (
+    node &&
+    [
+      "TSAsExpression",
+      "TSSatisfiesExpression",
+      "TSNonNullExpression",
+      "TSTypeAssertion",
+      "ParenthesizedExpression",
+    ].includes(node.type)
+  ) {
+    node = node.expression;
+  }
+  return node;
+};
+
+/**
+ * Get the exports of a module, following re-exports and local aliases
+ * @param {string} fileContent
+ * @param {string} filePath
+ * @param {Set<string>} [seen] files already visited, to break export cycles
+ * @returns {Map<string, {isFactory: boolean}>}
+ */
+const getModuleExports = (fileContent, filePath, seen = new Set()) => {
+  /** @type {Map<string, {isFactory: boolean}>} */
+  const exports = new Map();
+  seen.add(path.resolve(filePath));
+
+  const ast = parseModule(fileContent, filePath);
+  const body = ast.program.body;
+
+  /** @type {Map<string, import("@babel/types").Node>} */
+  const bindings = new Map();
+  /** @type {Map<string, {source: string, imported: string}>} */
+  const importedBindings = new Map();
+
+  for (const statement of body) {
+    const declaration =
+      statement.type === "ExportNamedDeclaration" && statement.declaration
+        ? statement.declaration
+        : statement;
+    if (declaration.type === "VariableDeclaration" && !declaration.declare) {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === "Identifier") {
+          bindings.set(declarator.id.name, declarator.init);
+        }
+      }
+    } else if (
+      (declaration.type === "FunctionDeclaration" ||
+        declaration.type === "ClassDeclaration") &&
+      declaration.id &&
+      !declaration.declare
+    ) {
+      bindings.set(declaration.id.name, declaration);
+    } else if (
+      declaration.type === "ImportDeclaration" &&
+      declaration.importKind !== "type"
+    ) {
+      for (const specifier of declaration.specifiers) {
+        if (specifier.type === "ImportSpecifier") {
+          importedBindings.set(specifier.local.name, {
+            source: declaration.source.value,
+            imported: exportName(specifier.imported),
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Load the exports of another module, if it can be resolved
+   * @param {string} source
+   * @returns {Map<string, {isFactory: boolean}> | undefined}
+   */
+  const exportsOf = (source) => {
+    const resolved = resolveModule(source, filePath);
+    if (!resolved || seen.has(resolved)) return undefined;
+    try {
+      return getModuleExports(fs.readFileSync(resolved, "utf-8"), resolved, seen);
+    } catch (error) {
+      // Errors are reported for the route file, so name the module they're in
+      if (error instanceof SyntaxError) error.message = `${source}: ${error.message}`;
+      throw error;
+    }
+  };
+
+  /**
+   * Check whether a local binding holds a list of handlers to spread into the
+   * route: a `createHandlers(...)` factory result or an array literal
+   * @param {import("@babel/types").Node} node
+   * @param {Set<string>} [visited]
+   * @returns {boolean}
+   */
+  const isFactoryValue = (node, visited = new Set()) => {
+    node = unwrapExpression(node);
+    if (!node) return false;
+    if (node.type === "ArrayExpression") return true;
+    if (node.type === "CallExpression") {
+      const callee = unwrapExpression(node.callee);
+      return (
+        (callee.type === "Identifier" && callee.name === "createHandlers") ||
+        (callee.type === "MemberExpression" &&
+          !callee.computed &&
+          callee.property.type === "Identifier" &&
+          callee.property.name === "createHandlers")
+      );
+    }
+    if (node.type === "Identifier" && !visited.has(node.name)) {
+      visited.add(node.name);
+      if (bindings.has(node.name)) {
+        return isFactoryValue(bindings.get(node.name), visited);
+      }
+      const imported = importedBindings.get(node.name);
+      if (imported) {
+        const info = exportsOf(imported.source)?.get(imported.imported);
+        return info ? info.isFactory : false;
+      }
+    }
+    return false;
+  };
+
+  for (const statement of body) {
+    if (statement.type === "ExportNamedDeclaration") {
+      if (statement.exportKind === "type") continue;
+      const { declaration, specifiers, source } = statement;
+      if (declaration) {
+        if (declaration.type === "VariableDeclaration") {
+          for (const declarator of declaration.declarations) {
+            if (declarator.id.type === "Identifier") {
+              exports.set(declarator.id.name, {
+                isFactory: isFactoryValue(declarator.init),
+              });
+            }
+          }
+        } else if (declaration.id) {
+          exports.set(declaration.id.name, { isFactory: false });
+        }
+        continue;
+      }
+      const sourceExports = source ? exportsOf(source.value) : undefined;
+      for (const specifier of specifiers) {
+        if (specifier.exportKind === "type") continue;
+        const exported = exportName(specifier.exported);
+        if (specifier.type === "ExportSpecifier") {
+          const local = exportName(specifier.local);
+          exports.set(exported, {
+            isFactory: source
+              ? sourceExports?.get(local)?.isFactory ?? false
+              : isFactoryValue(specifier.local),
+          });
+        } else {
+          // `export * as ns from` and `export ns from` expose a namespace
+          exports.set(exported, { isFactory: false });
+        }
+      }
+    } else if (statement.type === "ExportAllDeclaration") {
+      if (statement.exportKind === "type") continue;
+      if (statement.exported) {
+        exports.set(exportName(statement.exported), { isFactory: false });
+        continue;
+      }
+      for (const [name, info] of exportsOf(statement.source.value) ?? []) {
+        if (name !== "default" && !exports.has(name)) exports.set(name, info);
+      }
+    } else if (statement.type === "ExportDefaultDeclaration") {
+      exports.set("default", {
+        isFactory: isFactoryValue(statement.declaration),
+      });
+    }
+  }
+
+  return exports;
+};
+
+/**
+ * Get the name of an export/import specifier, which may be a string literal
+ * @param {import("@babel/types").Identifier | import("@babel/types").StringLiteral} node
+ * @returns {string}
+ */
+const exportName = (node) =>
+  node.type === "StringLiteral" ? node.value : node.name;
+
+/**
+ * Get exported methods from file content
+ * @param {string} fileContent
+ * @param {string} filePath
+ * @param {string[]} [customMethods] additional HTTP methods to recognise
+ * @param {Set<string>} [seen] collects the files read, including re-exported
+ * modules
+ * @returns {ExportedMethod[]}
+ */
+const getExportedMethods = (
+  fileContent,
+  filePath,
+  customMethods = [],
+  seen = new Set()
+) => {
+  // The `onRequest` catch-all goes last so that it never shadows a handler
+  // for a specific method on the same path
+  const methods = [...new Set([...defaultMethods, ...customMethods]), "ALL"];
+
+  const exports = getModuleExports(fileContent, filePath, seen);
+  // A JSX route file's default export is its page, unless it handles GET
+  // requests itself
+  const isPage =
+    /\.[jt]sx$/.test(filePath) &&
+    exports.has("default") &&
+    !exports.has(methodExportName("GET"));
+  return methods.flatMap((method) => {
+    const exportName = methodExportName(method);
+    // `validate` applies to every method, `validateGet` and so on to one
+    const validators = [
+      ...new Set(["validate", exportName.replace(/^onRequest/, "validate")]),
+    ].filter((name) => exports.has(name));
+    // `config` works the same way, as do `configGet` and so on
+    const configs = [
+      ...new Set(["config", exportName.replace(/^onRequest/, "config")]),
+    ].filter((name) => exports.has(name));
+    if (method === "GET" && isPage) {
+      return [
+        {
+          method,
+          exportName: "default",
+          isFactory: false,
+          validators,
+          configs,
+          component: "page",
+        },
+      ];
+    }
+    return exports.has(exportName)
+      ? [
+          {
+            method,
+            exportName,
+            isFactory: exports.get(exportName).isFactory,
+            validators,
+            configs,
+          },
+        ]
+      : [];
+  });
+};
+
+/**
+ * Get the exported middleware from a `_middleware` file's content
+ * @param {string} fileContent
+ * @param {string} filePath
+ * @param {Set<string>} [seen] collects the files read, including re-exported
+ * modules
+ * @returns {ExportedMethod[]}
+ */
+const getExportedMiddleware = (fileContent, filePath, seen = new Set()) => {
+  const exports = getModuleExports(fileContent, filePath, seen);
+  return exports.has("onRequest")
+    ? [
+        {
+          method: "ALL",
+          exportName: "onRequest",
+          isFactory: exports.get("onRequest").isFactory,
+          validators: [],
+          configs: [],
+        },
+      ]
+    : [];
+};
+
+/**
+ * Get the layout component default-exported by a `_layout` file's content
+ * @param {string} fileContent
+ * @param {string} filePath
+ * @param {Set<string>} [seen] collects the files read, including re-exported
+ * modules
+ * @returns {ExportedMethod[]}
+ */
+const getExportedLayout = (fileContent, filePath, seen = new Set()) => {
+  const exports = getModuleExports(fileContent, filePath, seen);
+  return exports.has("default")
+    ? [
+        {
+          method: "ALL",
+          exportName: "default",
+          isFactory: false,
+          validators: [],
+          configs: [],
+          component: "layout",
+        },
+      ]
+    : [];
+};
+
+/**
+ * What the exports of `_app`, `_error` and `_404` files do for their
+ * directory, by export name
+ */
+const directoryHooks = {
+  // Passed the directory's sub-app, and returns the app to register the
+  // directory's routes with
+  default: { name: "customise", label: "APP", description: "customises the sub-app at" },
+  onError: { name: "onError", label: "ERROR", description: "handles errors under" },
+  notFound: {
+    name: "notFound",
+    label: "NOT FOUND",
+    description: "handles requests no route matches under",
+  },
+};
+
+/**
+ * Make a reader for the exports of a special file that hooks into its
+ * directory, like the `onError` export of an `_error` file
+ * @param {string[]} exportNames the exports it reads, keys of
+ * `directoryHooks`
+ * @returns {(fileContent: string, filePath: string, seen?: Set<string>) => ExportedMethod[]}
+ */
+const getExportedHooks = (exportNames) => (fileContent, filePath, seen = new Set()) => {
+  const exports = getModuleExports(fileContent, filePath, seen);
+  return exportNames
+    .filter((name) => exports.has(name))
+    .map((exportName) => ({
+      method: "ALL",
+      exportName,
+      isFactory: false,
+      validators: [],
+      configs: [],
+    }));
+};
+
+/**
+ * How the exports of each special `_`-prefixed file are read
+ */
+const specialFileExports = {
+  _middleware: getExportedMiddleware,
+  _layout: getExportedLayout,
+  _app: getExportedHooks(["default", "notFound"]),
+  _error: getExportedHooks(["onError"]),
+  _404: getExportedHooks(["notFound"]),
+};
+
+/**
+ * Check if a path segment is a `(group)` directory, which organises routes
+ * without appearing in their URL
+ * @param {string} segment
+ * @returns {boolean}
+ */
+const isGroupSegment = (segment) => /^\(.+\)$/.test(segment);
+
+/**
+ * Regular expressions of the matchers that constrain params, as in
+ * `[id=int]`, unless configured otherwise
+ */
+const defaultMatchers = {
+  int: "[0-9]+",
+  uuid: "[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}",
+  slug: "[a-z0-9]+(?:-[a-z0-9]+)*",
+};
+
+/**
+ * Convert a routes-relative import path to a Hono route path (without the
+ * leading slash)
+ * @param {string} importPath
+ * @param {Record<string, string>} [matchers] regular expressions of the
+ * matchers params can be constrained with
+ * @returns {string}
+ * @throws if a param uses an unknown matcher, or an optional param isn't the
+ * last segment
+ */
+const toRoutePath = (importPath, matchers = defaultMatchers) => {
+  const segments = importPath
+    .split("/")
+    .filter((segment) => !isGroupSegment(segment));
+  if (segments[segments.length - 1] === "index") segments.pop();
+  return segments
+    .map((segment, index) =>
+      segment
+        .replace(/\[\[\.\.\.(.+?)\]\]/g, ":$1{.*}") // [[...param]] -> :param{.*} (alternate spread syntax)
+        .replace(/\[\.\.\.(.+?)\]/g, ":$1{.*}") // [...param] -> :param{.*} (zero or more segments)
+        .replace(/\[\[(.+?)\]\]/g, ":$1{.+}") // [[param]] -> :param{.+} (one or more segments)
+        .replace(/\[(.+?)\]/g, (_, param) => {
+          // [param] -> :param, [param=matcher] -> :param{regex}, [param$] -> :param?
+          const [, name, matcher, optional] = param.match(/^(.+?)(?:=(.+?))?(\$)?$/);
+          if (matcher && !Object.hasOwn(matchers, matcher)) {
+            throw new Error(`Unknown matcher \`${matcher}\` in [${param}]`);
+          }
+          if (optional && index < segments.length - 1) {
+            throw new Error(`Optional param [${param}] must be the last segment`);
+          }
+          return `:${name}${matcher ? `{${matchers[matcher]}}` : ""}${
+            optional ? "?" : ""
+          }`;
+        })
+    )
+    .join("/")
+    .replace(/\/$/, "");
+};
+
+/**
+ * Match a Hono route path segment that is a param: its name, regular
+ * expression and optional mark
+ * @param {string} segment
+ * @returns {RegExpMatchArray | null}
+ */
+const matchParam = (segment) => segment.match(/^:([^{?]+)(?:\{(.*)\})?(\?)?$/);
+
+/**
+ * Get the params of a Hono route path
+ * @param {string} routePath
+ * @returns {RouteParam[]}
+ */
+const getRouteParams = (routePath) =>
+  routePath.split("/").flatMap((segment) => {
+    const match = matchParam(segment);
+    if (!match) return [];
+    const greedy = match[2] === ".+" || match[2] === ".*";
+    return [
+      {
+        name: match[1],
+        greedy,
+        ...(match[3] ? { optional: true } : {}),
+        ...(match[2] !== undefined && !greedy ? { pattern: match[2] } : {}),
+      },
+    ];
+  });
+
+/**
+ * Compile a Hono route path into a regular expression matching the same URLs
+ * @param {string} routePath
+ * @returns {RegExp}
+ */
+const compilePattern = (routePath) => {
+  // Middleware paths end in `/*`, which also matches the path without it
+  const isWildcard = routePath.endsWith("/*");
+  return new RegExp(
+    `^${(isWildcard ? routePath.slice(0, -2) : routePath)
+      .split("/")
+      .map((segment, index) => {
+        const match = matchParam(segment);
+        if (!match) {
+          return `${index ? "/" : ""}${segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`;
+        }
+        const pattern = match[2] === undefined ? "([^/]+)" : `(${match[2]})`;
+        // An optional param also matches the path without it
+        return match[3] ? `(?:/${pattern})?` : `/${pattern}`;
+      })
+      .join("")}${isWildcard ? "(?:/.*)?" : ""}$`
+  );
+};
+
+/**
+ * Get sample URLs for a route path: the shortest URL it matches, and one
+ * where every greedy param spans several segments
+ * @param {string} routePath
+ * @returns {string[]}
+ */
+const sampleUrls = (routePath) =>
+  [false, true].map((long) =>
+    routePath
+      .split("/")
+      .flatMap((segment) => {
+        const match = matchParam(segment);
+        if (!match) return [segment];
+        if (match[3] && !long) return [];
+        if (match[2] === ".+" || match[2] === ".*") {
+          return [long ? "x/y" : match[2] === ".+" ? "x" : ""];
+        }
+        return ["x"];
+      })
+      .join("/")
+  );
+
+/**
+ * Find routes that would conflict in the generated router: the same method
+ * and path defined twice, files whose names Hono would read as route syntax,
+ * and routes that can never match because an earlier greedy route matches
+ * all of their URLs
+ * @param {Route[]} routes routes in registration order
+ * @param {Array<{name: string, file: string}>} modules imported modules
+ * @returns {string[]}
+ */
+const findConflicts = (routes, modules) => {
+  /** @type {string[]} */
+  const conflicts = [];
+  const handlerRoutes = routes.filter((route) => !route.isMiddleware);
+
+  /** @type {Map<string, Route[]>} */
+  const byMethodAndShape = new Map();
+  for (const route of handlerRoutes) {
+    // Param names don't affect matching, so `/users/:id` and
+    // `/users/:user_id` are the same route
+    const shape = route.path.replace(/:[^/{]+/g, ":");
+    const key = `${route.method} ${shape}`;
+    byMethodAndShape.set(key, [...(byMethodAndShape.get(key) ?? []), route]);
+  }
+  for (const duplicates of byMethodAndShape.values()) {
+    if (duplicates.length > 1) {
+      conflicts.push(
+        `${duplicates[0].method} ${duplicates[0].path} is defined by more than one file: ${duplicates
+          .map((route) => route.file)
+          .join(", ")}`
+      );
+    }
+  }
+
+  for (const { file } of modules) {
+    // Outside of [param] brackets, these can't be matched literally
+    const isUnroutable = file
+      .split("/")
+      .filter((segment) => !isGroupSegment(segment))
+      .some((segment) => /^:|[*?{}]/.test(segment.replace(/\[.*?\]+/g, "")));
+    if (isUnroutable) {
+      conflicts.push(
+        `${file} can't be routed: Hono reads \`*\`, \`?\`, \`{\`, \`}\` and a leading \`:\` in a path segment as route syntax; rename it`
+      );
+    }
+  }
+
+  handlerRoutes.forEach((route, index) => {
+    const samples = sampleUrls(route.path);
+    const shadowedBy = handlerRoutes
+      .slice(0, index)
+      .find(
+        (earlier) =>
+          earlier.params.some(({ greedy }) => greedy) &&
+          (earlier.method === route.method ||
+            earlier.method === "ALL" ||
+            (earlier.method === "GET" && route.method === "HEAD")) &&
+          samples.every((sample) => compilePattern(earlier.path).test(sample))
+      );
+    if (shadowedBy) {
+      conflicts.push(
+        `${route.method} ${route.path} (${route.file}) is unreachable: ${shadowedBy.method} ${shadowedBy.path} (${shadowedBy.file}) is registered first and matches all of its URLs`
+      );
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Route file extensions used unless configured otherwise
+ */
+const defaultExtensions = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".mts", ".cts"];
+
+/**
+ * The extension a source file has once compiled to JavaScript
+ */
+const compiledExtensions = {
+  ".ts": ".js",
+  ".tsx": ".js",
+  ".jsx": ".js",
+  ".mts": ".mjs",
+  ".cts": ".cjs",
+};
+
+/**
+ * How the generated router's imports are resolved: `bundler` for bundlers,
+ * Bun and TypeScript's `bundler` resolution (extensionless imports), `node`
+ * for Node ESM and TypeScript's `nodenext` resolution (imports of the compiled
+ * `.js` file), `deno` for Deno (imports of the source file)
+ * @typedef {"bundler" | "node" | "deno"} Runtime
+ */
+
+/**
+ * Runtimes that can be chosen with `--runtime`
+ */
+const runtimes = ["bundler", "node", "deno"];
+
+/**
+ * Get the import specifier for a route file
+ * @param {string} file route file path
+ * @param {string} extension the file's route file extension
+ * @param {Runtime} runtime
+ * @returns {string}
+ */
+const importSpecifier = (file, extension, runtime) => {
+  if (runtime === "deno") return file;
+  const base = file.slice(0, -extension.length);
+  // Bundlers resolve these without an extension, and a directory to its index
+  if (runtime === "bundler" && [".ts", ".tsx", ".js", ".jsx"].includes(extension)) {
+    return base.replace(/index$/, "");
+  }
+  return base + (compiledExtensions[extension] ?? extension);
+};
+
+/**
+ * Normalise a base path to start with a slash and not end with one, so that
+ * `/` and an empty prefix both mount routes at the root
+ * @param {string} [prefix]
+ * @returns {string}
+ */
+const normalizePrefix = (prefix = "") =>
+  `/${prefix}`.replace(/\/+/g, "/").replace(/\/$/, "");
+
+/**
+ * Check if string is capitalized
+ * @param {string} str
+ * @returns {boolean}
+ */
+const isCapitalized = (str) => {
+  const letter = str[0];
+  return letter === letter.toUpperCase() && letter !== letter.toLowerCase();
+};
+
+/**
+ * Globs of files and directories skipped in every routes directory: tests,
+ * type declarations, dot-files and dependencies
+ */
+const defaultIgnore = [
+  "**/*.test.*",
+  "**/*.spec.*",
+  "**/*.d.ts",
+  "**/*.d.mts",
+  "**/*.d.cts",
+  "**/.*",
+  "**/node_modules",
+];
+
+/**
+ * `_`-prefixed file names that are special rather than private
+ */
+const specialFiles = Object.keys(specialFileExports);
+
+/**
+ * Check if a file or directory is private to the routes directory: it is
+ * `_`-prefixed, and not one of the special files
+ * @param {string} name file or directory name
+ * @param {string} [extension] the file's route file extension
+ * @returns {boolean}
+ */
+const isPrivate = (name, extension) =>
+  name.startsWith("_") &&
+  !specialFiles.includes(extension ? name.slice(0, -extension.length) : name);
+
+/**
+ * @typedef {Object} GitignoreRule
+ * @property {string} base directory of the `.gitignore` the rule is from
+ * @property {(file: string) => boolean} isMatch test a path relative to `base`
+ * @property {boolean} negated whether the rule re-includes what it matches
+ * @property {boolean} dirOnly whether the rule only matches directories
+ */
+
+/**
+ * Parse the rules of a `.gitignore` file
+ * @param {string} content
+ * @param {string} base directory of the `.gitignore`
+ * @returns {GitignoreRule[]}
+ */
+const parseGitignore = (content, base) =>
+  content.split(/\r?\n/).flatMap((line) => {
+    let pattern = line.replace(/(?<!\\)\s+$/, "");
+    if (!pattern || pattern.startsWith("#")) return [];
+    const negated = pattern.startsWith("!");
+    pattern = pattern.replace(/^!/, "").replace(/^\\(?=[#!])/, "");
+    const dirOnly = pattern.endsWith("/");
+    pattern = pattern.replace(/\/+$/, "");
+    // A pattern with a slash is relative to the .gitignore's directory,
+    // others match at any depth
+    const isAnchored = pattern.includes("/");
+    pattern = pattern.replace(/^\//, "");
+    if (!pattern) return [];
+    return [
+      {
+        base,
+        isMatch: picomatch(isAnchored ? pattern : `**/${pattern}`, { dot: true }),
+        negated,
+        dirOnly,
+      },
+    ];
+  });
+
+/**
+ * Read the rules of a directory's `.gitignore`, if it has one
+ * @param {string} dir
+ * @returns {GitignoreRule[]}
+ */
+const readGitignore = (dir) => {
+  try {
+    return parseGitignore(fs.readFileSync(path.join(dir, ".gitignore"), "utf-8"), dir);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "EISDIR") return [];
+    throw error;
+  }
+};
+
+/**
+ * Read the rules of the `.gitignore` files above a directory, up to the root
+ * of its git repository, outermost first. There are none outside a repository
+ * @param {string} dir
+ * @returns {GitignoreRule[]}
+ */
+const readAncestorGitignores = (dir) => {
+  const ancestors = [];
+  let current = path.resolve(dir);
+  while (!fs.existsSync(path.join(current, ".git"))) {
+    const parent = path.dirname(current);
+    if (parent === current) return [];
+    current = parent;
+    ancestors.push(current);
+  }
+  return ancestors.reverse().flatMap(readGitignore);
+};
+
+/**
+ * Check if a file or directory is ignored by `.gitignore` rules; the last
+ * rule to match it wins, so deeper `.gitignore` files override shallower ones
+ * @param {GitignoreRule[]} rules
+ * @param {string} file absolute path
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ */
+const isGitignored = (rules, file, isDirectory) => {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    const relative = path.relative(rule.base, file).replace(/\\/g, "/");
+    if (relative.startsWith("../")) continue;
+    if (rule.isMatch(relative)) ignored = !rule.negated;
+  }
+  return ignored;
+};
+
+/**
+ * Reserved words, which can't be used as identifiers
+ */
+const reservedWords = [
+  "arguments",
+  "await",
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "debugger",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "enum",
+  "eval",
+  "export",
+  "extends",
+  "false",
+  "finally",
+  "for",
+  "function",
+  "if",
+  "implements",
+  "import",
+  "in",
+  "instanceof",
+  "interface",
+  "let",
+  "new",
+  "null",
+  "package",
+  "private",
+  "protected",
+  "public",
+  "return",
+  "static",
+  "super",
+  "switch",
+  "this",
+  "throw",
+  "true",
+  "try",
+  "typeof",
+  "var",
+  "void",
+  "while",
+  "with",
+  "yield",
+];
+
+/**
+ * Turn a route file's import path into a valid identifier to import it as,
+ * e.g. `users/[id]` -> `users_id`, `sitemap.xml` -> `sitemap_xml` and
+ * `2fa` -> `_2fa`
+ * @param {string} importPath
+ * @returns {string}
+ */
+const toIdentifier = (importPath) => {
+  const name = importPath
+    .replace(/[()]/g, "") // Remove (group) parens
+    .replace(/\[\[\.\.\.(.+?)\]\]/g, "$1") // Remove [[...param]]
+    .replace(/\[\.\.\.(.+?)\]/g, "$1") // Remove [...param]
+    .replace(/\[\[(.+?)\]\]/g, "$1") // Remove [[param]]
+    .replace(/\[(.+?)\$?\]/g, "$1") // Remove [param] and [param$]
+    .replace(/[^\p{ID_Continue}$]/gu, "_")
+    .replace(/^_+/, "");
+  if (!name) return "route";
+  if (reservedWords.includes(name)) return `${name}_`;
+  return /^[\p{ID_Start}$]/u.test(name) ? name : `_${name}`;
+};
+
+/**
+ * Quote a string as a single-quoted string literal of the generated router
+ * @param {string} value
+ * @returns {string}
+ */
+const quote = (value) =>
+  `'${JSON.stringify(value)
+    .slice(1, -1)
+    .replace(/\\"/g, '"')
+    .replace(/'/g, "\\'")}'`;
+
+/**
+ * Names declared or imported by the generated router
+ */
+const generatedNames = [
+  "app",
+  "Hono",
+  "Env",
+  "Context",
+  "Next",
+  "MiddlewareHandler",
+  "onlyHead",
+  "ValidationTargets",
+  "validator",
+  "Handler",
+  "chain",
+  "lazy",
+  "catchError",
+  "ErrorHandler",
+  "jsx",
+  "jsxRenderer",
+  "Component",
+  "renderPage",
+  "renderLayout",
+  "Schema",
+  "Loaded",
+  "ValidationResult",
+  "validate",
+  "cors",
+  "etag",
+  "bearerAuth",
+  "Duration",
+  "toSeconds",
+  "RouteConfig",
+  "RouteOptions",
+  "configure",
+  "preflight",
+  "routeOptions",
+  "loadRoutes",
+  "AppType",
+  "routes",
+  "url",
+];
+
+/**
+ * Helpers of the generated router that turn a component into a handler
+ */
+const componentHelpers = { page: "renderPage", layout: "renderLayout" };
+
+/**
+ * Render a handler argument of a route's registration call. Lazily loaded
+ * handlers are wrapped in a stub that imports their module on first request
+ * @param {RouteHandler} routeHandler
+ * @param {boolean} lazy
+ * @returns {string}
+ */
+const renderHandler = ({ handler, module, exportName, isFactory, component }, lazy) => {
+  if (component) {
+    const helper = componentHelpers[component];
+    return lazy
+      ? `lazy(${module}, (module) => ${helper}(module.${exportName}))`
+      : `${helper}(${handler})`;
+  }
+  if (lazy) return `lazy(${module}, ${quote(exportName)})`;
+  return isFactory ? `...${handler}` : handler;
+};
+
+/**
+ * Render the validation middleware for a route's `validate` exports
+ * @param {Route} route
+ * @param {boolean} lazy
+ * @returns {string}
+ */
+const renderValidators = ({ module, validators }, lazy) => {
+  if (lazy) {
+    const schemas = validators.map((name) => `module.${name}`).join(", ");
+    return `lazy(${module}, (module) => validate(${schemas}))`;
+  }
+  return `validate(${validators.map((name) => `${module}.${name}`).join(", ")})`;
+};
+
+/**
+ * Render the middleware that a route's `config` exports ask for
+ * @param {Route} route
+ * @param {boolean} lazy
+ * @returns {string}
+ */
+const renderConfigs = ({ module, configs }, lazy) => {
+  if (lazy) {
+    const exports = configs.map((name) => `module.${name}`).join(", ");
+    return `lazy(${module}, (module) => configure(routeOptions, ${exports}))`;
+  }
+  return `configure(routeOptions, ${configs.map((name) => `${module}.${name}`).join(", ")})`;
+};
+
+/**
+ * Render the OPTIONS route answering CORS preflight requests to the path of a
+ * file that has config but doesn't handle OPTIONS requests, e.g.
+ * `options('/users', preflight({ GET: [users.config] }))`. It's a route rather
+ * than `use()` middleware since, in the RPC chain, `use()` with a path moves
+ * every route chained before it to that path in the app's type
+ * @param {Route} route the file's first route at the path
+ * @param {Array<{method: string, configs: string[]}>} methods the methods the
+ * file handles, and their `config` exports
+ * @param {boolean} lazy
+ * @param {string} routePath the route's path in the app
+ * @returns {string}
+ */
+const renderPreflight = ({ module }, methods, lazy, routePath) => {
+  const configs = methods
+    .map(
+      ({ method, configs }) =>
+        `${/^[A-Z]+$/.test(method) ? method : quote(method)}: [${configs
+          .map((name) => `${lazy ? "module" : module}.${name}`)
+          .join(", ")}]`
+    )
+    .join(", ");
+  const handler = `preflight({ ${configs} })`;
+  return `options(${quote(routePath)}, ${
+    lazy ? `lazy(${module}, (module) => ${handler})` : handler
+  })`;
+};
+
+/**
+ * Render the method call registering a route with an app, e.g.
+ * `get('/users', users.onRequestGet)`
+ * @param {Route} route
+ * @param {boolean} [lazy=false] load the route's modules on first request
+ * @param {string} [routePath] the route's path in the app
+ * @param {boolean} [rpc=false] keep the app's type to the routes it serves
+ * @returns {string}
+ */
+const renderRoute = (route, lazy = false, routePath = route.path, rpc = false) => {
+  const handler = [
+    ...(route.middleware ?? []).map((middleware) =>
+      renderHandler(middleware, lazy)
+    ),
+    ...(route.configs?.length > 0 ? [renderConfigs(route, lazy)] : []),
+    ...(route.validators?.length > 0 ? [renderValidators(route, lazy)] : []),
+    renderHandler(route, lazy),
+  ].join(", ");
+  const quotedPath = quote(routePath);
+  if (route.isMiddleware) {
+    return `use(${quotedPath}, ${handler})`;
+  }
+  if (route.method === "HEAD") {
+    // Hono dispatches HEAD requests to GET routes, so HEAD handlers are
+    // registered on GET and only run when the request really is a HEAD.
+    // The RPC client gets them as HEAD routes: a second GET route would
+    // merge with the type of the file's GET handler, and `use()` with a path
+    // moves every route chained before it to that path in the app's type
+    return rpc
+      ? `on('GET' as 'HEAD', ${quotedPath}, onlyHead(${handler}))`
+      : `get(${quotedPath}, onlyHead(${handler}))`;
+  }
+  if (appMethods[route.method]) {
+    return `${appMethods[route.method]}(${quotedPath}, ${handler})`;
+  }
+  return `on(${quote(route.method)}, ${quotedPath}, ${handler})`;
+};
+
+/**
+ * @typedef {Object} DirectoryHook
+ * @property {string} handler the export in the generated router, e.g.
+ * `api__error.onError`
+ * @property {string} file source file, relative to the routes directory
+ */
+
+/**
+ * @typedef {Object} DirectoryHooks
+ * @property {DirectoryHook} [customise] an `_app` file's default export
+ * @property {DirectoryHook} [onError] handles errors thrown under the
+ * directory
+ * @property {DirectoryHook} [notFound] handles requests under the directory
+ * that no route matches
+ */
+
+/**
+ * @typedef {Object} SubApp
+ * @property {string} path URL path of the sub-app's directory, which its
+ * routes are relative to
+ * @property {string} name identifier of the sub-app in the generated router
+ * @property {DirectoryHook} [customise]
+ * @property {DirectoryHook} [onError]
+ * @property {DirectoryHook} [notFound]
+ * @property {Array<{route: Route} | {app: SubApp}>} entries its routes and
+ * the sub-apps mounted in it, in registration order
+ */
+
+/**
+ * Get the rank of a route path segment in the order segments are tried in:
+ * static segments, then constrained params, then params, then greedy params
+ * @param {string} segment
+ * @returns {number}
+ */
+const segmentRank = (segment) => {
+  const match = matchParam(segment);
+  if (!match) return 0;
+  if (match[2] === ".+" || match[2] === ".*") return 3;
+  return match[2] === undefined ? 2 : 1;
+};
+
+/**
+ * Get the URL path of the directory a route's file is in, empty for the root
+ * @param {Route} route
+ * @returns {string}
+ */
+const routeDirPath = (route) => {
+  const segments = route.path.split("/").filter((segment) => segment !== "");
+  const name = path.posix.basename(route.file).replace(/\.[^.]+$/, "");
+  // Middleware ends in `/*`, and any file but an index adds a segment
+  if (route.isMiddleware || name !== "index") segments.pop();
+  return segments.length > 0 ? `/${segments.join("/")}` : "";
+};
+
+/**
+ * Nest routes into a sub-app per directory, mounted in its parent's app at
+ * the directory's path. Directories with no routes of their own and a
+ * single subdirectory are mounted in one go. A sub-app's routes are
+ * registered together, so each app registers its middleware first, then
+ * its routes and sub-apps by their first segment, in the order segments
+ * are tried in; a sub-app goes after a route whose first segment ranks the
+ * same
+ * @param {Route[]} routes routes in registration order
+ * @param {Map<string, DirectoryHooks>} directories hooks by directory path
+ * @param {(name: string) => string} uniqueName get a unique identifier
+ * @returns {SubApp} the app the routes are loaded into
+ */
+const nestRoutes = (routes, directories, uniqueName) => {
+  /** @type {Map<string, SubApp>} */
+  const apps = new Map();
+  /**
+   * Get the sub-app of a directory, adding it and its parents if needed
+   * @param {string} appPath
+   * @returns {SubApp}
+   */
+  const getApp = (appPath) => {
+    if (!apps.has(appPath)) {
+      apps.set(appPath, { path: appPath, name: "", entries: [] });
+      if (appPath) getApp(appPath.slice(0, appPath.lastIndexOf("/")));
+    }
+    return apps.get(appPath);
+  };
+  const root = getApp("");
+  for (const [appPath, hooks] of directories) Object.assign(getApp(appPath), hooks);
+  for (const route of routes) getApp(routeDirPath(route)).entries.push({ route });
+
+  const parentPath = (appPath) => appPath.slice(0, appPath.lastIndexOf("/"));
+  const sortedApps = [...apps.values()].sort((a, b) =>
+    a.path > b.path ? 1 : a.path < b.path ? -1 : 0
+  );
+  /**
+   * Check if a sub-app only passes its single sub-app through
+   * @param {SubApp} app
+   */
+  const isPassThrough = (app) =>
+    app !== root &&
+    app.entries.length === 0 &&
+    !app.customise &&
+    !app.onError &&
+    !app.notFound &&
+    sortedApps.filter(({ path: appPath }) => appPath && parentPath(appPath) === app.path)
+      .length === 1;
+  for (const app of sortedApps) {
+    if (app === root || isPassThrough(app)) continue;
+    let parent = apps.get(parentPath(app.path));
+    while (isPassThrough(parent)) parent = apps.get(parentPath(parent.path));
+    parent.entries.push({ app });
+  }
+
+  for (const app of sortedApps) {
+    /**
+     * @param {{route: Route} | {app: SubApp}} entry
+     * @returns {string}
+     */
+    const firstSegment = (entry) =>
+      (entry.route ? entry.route.path : entry.app.path)
+        .slice(app.path.length)
+        .split("/")[1] ?? "";
+    app.entries = [
+      ...app.entries.filter((entry) => entry.route?.isMiddleware),
+      ...app.entries
+        .filter((entry) => !entry.route?.isMiddleware)
+        .sort(
+          (a, b) =>
+            segmentRank(firstSegment(a)) - segmentRank(firstSegment(b)) ||
+            (a.app ? 1 : 0) - (b.app ? 1 : 0)
+        ),
+    ];
+    // The root's `_app` file customises a sub-app mounted at `/`
+    app.name =
+      app === root && !app.customise
+        ? "app"
+        : uniqueName(
+            `${toIdentifier(
+              app.path
+                .split("/")
+                .map((segment) => matchParam(segment)?.[1] ?? segment)
+                .join("/") || "root"
+            )}_app`
+          );
+  }
+  return root;
+};
+
+/**
+ * Get a sub-app's routes, and those of the sub-apps mounted in it, in
+ * registration order
+ * @param {SubApp} app
+ * @returns {Route[]}
+ */
+const flattenRoutes = (app) =>
+  app.entries.flatMap((entry) =>
+    entry.route ? [entry.route] : flattenRoutes(entry.app)
+  );
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Map<string, number | undefined>} mtimes modification times of
+ * the route file and the modules it re-exports from, when it was parsed
+ * @property {ExportedMethod[]} exportedMethods
+ */
+
+/**
+ * Get a file's modification time
+ * @param {string} file
+ * @returns {number | undefined} nothing if the file doesn't exist
+ */
+const modifiedTime = (file) => {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * @typedef {Object} RoutesRoot
+ * @property {string} dir directory to generate routes from
+ * @property {string} [prefix] base path the directory's routes are mounted at
+ */
+
+/**
+ * @typedef {Object} GenerateOptions
+ * @property {string} [routesDir] directory to generate routes from
+ * @property {string} [prefix] base path to mount `routesDir` at
+ * @property {RoutesRoot[]} [roots] several directories to generate routes
+ * from, instead of `routesDir`
+ * @property {string} outFile path of the generated router; imports are
+ * relative to it
+ * @property {Runtime} [runtime="bundler"] how the router's imports are resolved
+ * @property {boolean} [deno] generate Deno-compatible imports, the same as
+ * `runtime: "deno"`
+ * @property {boolean} [lazy=false] import each route module on its first
+ * request instead of up front
+ * @property {boolean} [subApps=false] register each directory's routes with
+ * its own Hono app, mounted in its parent directory's app with `app.route()`
+ * @property {boolean} [rpc=false] chain the registration calls, so that
+ * `loadRoutes` returns an app typed with every route and the router exports
+ * its `AppType` for Hono's RPC client
+ * @property {boolean | string | OpenAPIOptions} [openapi] OpenAPI document
+ * for `generateOpenAPI` to write, optionally at the given path
+ * @property {string[]} [methods] additional HTTP methods to recognise
+ * @property {string[]} [extensions] route file extensions
+ * @property {Record<string, string>} [matchers] regular expressions of param
+ * matchers, as in `[id=int]`, on top of `int`, `uuid` and `slug`
+ * @property {string[]} [ignore] globs of files and directories to skip,
+ * relative to the routes directory, on top of tests, type declarations,
+ * dot-files, `node_modules` and `_`-prefixed private files
+ * @property {string[]} [exclude] more globs to skip, the same as `ignore`
+ * @property {string[]} [include] globs that route files must match, relative
+ * to the routes directory
+ * @property {boolean} [gitignore=true] skip files ignored by `.gitignore`
+ * @property {boolean} [write=true] write the router to `outFile`, if it
+ * has changed
+ * @property {Map<string, CacheEntry>} [cache] parse results to reuse between
+ * runs with the same options; files that haven't been modified since are not
+ * parsed again
+ * @property {boolean} [silent=false] don't log to the console
+ */
+
+/**
+ * @typedef {Object} GenerateResult
+ * @property {Route[]} routes routes in registration order
+ * @property {string} source the generated router
+ * @property {string[]} conflicts route conflicts; the router is not written
+ * when there are any
+ * @property {boolean} written whether the router was written, which it isn't
+ * when it is unchanged
+ * @property {string[]} files every file read from the routes directory
+ * @property {string[]} dirs every directory read, including the routes directory
+ */
+
+/**
+ * Generate routes
+ * @param {GenerateOptions} options
+ * @returns {GenerateResult}
+ */
+const generateRoutes = (options) => {
+  const {
+    outFile: out,
+    deno: isDeno = false,
+    runtime = isDeno ? "deno" : "bundler",
+    lazy = false,
+    subApps = false,
+    rpc = false,
+    methods: customMethods = [],
+    extensions = defaultExtensions,
+    matchers: customMatchers,
+    ignore = [],
+    exclude = [],
+    include = [],
+    gitignore = true,
+    write = true,
+    silent = false,
+    cache,
+  } = options;
+  const roots = (
+    options.roots ?? [{ dir: options.routesDir, prefix: options.prefix }]
+  ).map(({ dir, prefix }) => ({ dir, prefix: normalizePrefix(prefix) }));
+  const matchers = { ...defaultMatchers, ...customMatchers };
+  const isIgnored = picomatch([...defaultIgnore, ...ignore, ...exclude], {
+    dot: true,
+  });
+  const isIncluded = include.length
+    ? picomatch(include, { dot: true })
+    : () => true;
+
+  /**
+   * Log a message unless running silently
+   * @param {string} color
+   * @param {string} message
+   */
+  const log = (color, message) => {
+    if (!silent) console.log(color, message, colors.reset);
+  };
+
+  /**
+   * Log an error unless running silently
+   * @param {string} message
+   */
+  const logError = (message) => {
+    if (!silent) console.error(colors.red, message, colors.reset);
+  };
+
+  /** @type {string[]} */
+  const files = [];
+  /** @type {string[]} */
+  const dirs = [];
+  /** @type {string[]} */
+  const imports = [];
+  /** @type {Route[]} */
+  const routes = [];
+  /** @type {Array<RouteHandler & {root: string, dir: string}>} */
+  const groupMiddleware = [];
+  /** @type {Array<{name: string, file: string}>} */
+  const modules = [];
+  /** @type {string[]} */
+  const invalidFiles = [];
+  /** @type {Map<string, DirectoryHooks>} */
+  const directories = new Map();
+  // Names aren't shared, so that modules whose identifiers collide (like
+  // `a-b.ts` and `a_b.ts`) are imported as `a_b` and `a_b_2`
+  const usedNames = new Set(generatedNames);
+
+  /**
+   * Get the name to import a module as, unique within the router
+   * @param {string} name
+   * @returns {string}
+   */
+  const uniqueName = (name) => {
+    // Don't shadow the names the generated router declares itself
+    let unique = generatedNames.includes(name) ? `${name}_` : name;
+    for (let i = 2; usedNames.has(unique); i++) unique = `${name}_${i}`;
+    usedNames.add(unique);
+    return unique;
+  };
+
+  /**
+   * Get a route file's exports, reusing the cached result while neither the
+   * file nor any module it re-exports from has been modified
+   * @param {string} file absolute path of the route file
+   * @param {string} [specialFile] the special file it is, like `_middleware`
+   * @returns {ExportedMethod[]}
+   */
+  const readExports = (file, specialFile) => {
+    const cached = cache?.get(file);
+    if (
+      cached &&
+      [...cached.mtimes].every(
+        ([dependency, mtime]) => modifiedTime(dependency) === mtime
+      )
+    ) {
+      return cached.exportedMethods;
+    }
+    const mtime = modifiedTime(file);
+    const fileContent = fs.readFileSync(file, "utf-8");
+    /** @type {Set<string>} */
+    const seen = new Set();
+    const exportedMethods = specialFile
+      ? specialFileExports[specialFile](fileContent, file, seen)
+      : getExportedMethods(fileContent, file, customMethods, seen);
+    cache?.set(file, {
+      mtimes: new Map(
+        [...seen].map((dependency) => [
+          dependency,
+          dependency === file ? mtime : modifiedTime(dependency),
+        ])
+      ),
+      exportedMethods,
+    });
+    return exportedMethods;
+  };
+
+  /**
+   * Traverse directories
+   * @param {{dir: string, prefix: string}} root
+   * @param {string} currentPath
+   * @param {string} [basePath='']
+   * @param {GitignoreRule[]} [gitignoreRules] rules of the `.gitignore` files
+   * above `currentPath`
+   */
+  const traverseDirectories = (
+    root,
+    currentPath,
+    basePath = "",
+    gitignoreRules = []
+  ) => {
+    const { dir, prefix } = root;
+    let entries;
+    try {
+      entries = fs.readdirSync(currentPath, { withFileTypes: true });
+    } catch (error) {
+      // Deleted since its parent directory was read
+      if (error.code === "ENOENT" && basePath) return;
+      throw error;
+    }
+    // Sorted so that colliding names are always suffixed the same way
+    entries.sort((a, b) => (a.name > b.name ? 1 : a.name < b.name ? -1 : 0));
+    dirs.push(path.resolve(currentPath));
+    const rules = gitignore
+      ? [...gitignoreRules, ...readGitignore(path.resolve(currentPath))]
+      : gitignoreRules;
+
+    for (const entry of entries) {
+      const entryPath = path.join(currentPath, entry.name);
+      const extension = extensions.find((ext) => entry.name.endsWith(ext));
+      const importPath = path.posix
+        .join(basePath, entry.name)
+        .slice(0, entry.isFile() && extension ? -extension.length : undefined);
+      const entryFile = path.posix.join(basePath, entry.name);
+      if (
+        isIgnored(entryFile) ||
+        isPrivate(entry.name, entry.isFile() ? extension : undefined) ||
+        isGitignored(rules, path.resolve(entryPath), entry.isDirectory()) ||
+        (entry.isFile() && !isIncluded(entryFile)) ||
+        path.resolve(entryPath) === path.resolve(out)
+      ) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        traverseDirectories(root, entryPath, importPath, rules);
+      } else if (entry.isFile() && !isCapitalized(entry.name) && extension) {
+        const specialFile = specialFiles.find(
+          (name) => path.posix.basename(importPath) === name
+        );
+        // Layouts are middleware that set the renderer of their directory
+        const isMiddleware = specialFile === "_middleware" || specialFile === "_layout";
+        // `_app`, `_error` and `_404` files hook into their directory
+        const isHookFile = specialFile !== undefined && !isMiddleware;
+        let exportedMethods = [];
+        try {
+          exportedMethods = readExports(path.resolve(entryPath), specialFile);
+        } catch (error) {
+          // Deleted since its directory was read
+          if (error.code === "ENOENT") continue;
+          // Leaving the file's routes out would ship a broken router, so the
+          // failure is reported with the conflicts
+          invalidFiles.push(
+            `Failed to parse ${path.posix.join(basePath, entry.name)}: ${error.message}`
+          );
+        }
+        files.push(path.resolve(entryPath));
+        if (exportedMethods.length > 0) {
+          const file = path.posix.join(basePath, entry.name);
+          let routePath;
+          try {
+            // Special files apply to their directory and everything below it
+            routePath = toRoutePath(
+              specialFile ? importPath.slice(0, -specialFile.length) : importPath,
+              matchers
+            );
+          } catch (error) {
+            invalidFiles.push(`${file}: ${error.message}`);
+            continue;
+          }
+          const appPath = `${prefix}${routePath ? `/${routePath}` : ""}`;
+          if (specialFile === "_app" && !subApps) {
+            log(colors.yellow, `APP ${appPath || "/"} (${file} is only used with sub-apps)`);
+            continue;
+          }
+          // Files from several roots are told apart by their root's name
+          const safeName = uniqueName(
+            toIdentifier(
+              roots.length > 1
+                ? path.posix.join(path.basename(path.resolve(dir)), importPath)
+                : importPath
+            )
+          );
+          const importPathString = importSpecifier(
+            path.posix.join(basePath, entry.name),
+            extension,
+            runtime
+          );
+          const relativePath = path.posix
+            .relative(path.dirname(out), path.join(dir, importPathString))
+            .replace(/\\/g, "/");
+          // Hooks are registered with the app rather than as a route, so
+          // they are imported up front
+          imports.push(
+            lazy && !isHookFile
+              ? `const ${safeName} = () => import(${quote(`./${relativePath}`)});`
+              : `import * as ${safeName} from ${quote(`./${relativePath}`)};`
+          );
+          modules.push({ name: safeName, file });
+          if (isHookFile) {
+            if (!directories.has(appPath)) directories.set(appPath, {});
+            const hooks = directories.get(appPath);
+            for (const { exportName } of exportedMethods) {
+              const { name, label, description } = directoryHooks[exportName];
+              if (hooks[name]) {
+                invalidFiles.push(
+                  `${file}: ${hooks[name].file} already ${description} ${appPath || "/"}`
+                );
+                continue;
+              }
+              log(colors.yellow, `${label} ${appPath || "/"}`);
+              hooks[name] = { handler: `${safeName}.${exportName}`, file };
+            }
+            continue;
+          }
+          exportedMethods.forEach(({ method, exportName, isFactory, validators, configs, component }) => {
+            if (isMiddleware) {
+              const middlewarePath = `${prefix}/${routePath ? `${routePath}/` : ""}*`;
+              const isInGroup = basePath.split("/").some(isGroupSegment);
+              log(
+                colors.yellow,
+                `${component === "layout" ? "LAYOUT" : "MIDDLEWARE"} ${middlewarePath}${
+                  isInGroup ? ` (group ${basePath})` : ""
+                }${isFactory ? " (factory)" : ""}`
+              );
+              if (isInGroup) {
+                groupMiddleware.push({
+                  root: dir,
+                  dir: basePath,
+                  handler: `${safeName}.${exportName}`,
+                  module: safeName,
+                  exportName,
+                  isFactory,
+                  file,
+                  ...(component ? { component } : {}),
+                });
+                return;
+              }
+              routes.push({
+                method,
+                path: middlewarePath,
+                handler: `${safeName}.${exportName}`,
+                module: safeName,
+                exportName,
+                isFactory,
+                isMiddleware: true,
+                params: getRouteParams(middlewarePath),
+                file,
+                root: dir,
+                middleware: [],
+                validators: [],
+                configs: [],
+                ...(component ? { component } : {}),
+              });
+              return;
+            }
+            const fullPath =
+              prefix && !routePath ? prefix : `${prefix}/${routePath}`;
+            log(
+              colors.blue,
+              `${method} ${fullPath}${isFactory ? " (factory)" : ""}${
+                component === "page" ? " (page)" : ""
+              }`
+            );
+            routes.push({
+              method,
+              path: fullPath,
+              handler: `${safeName}.${exportName}`,
+              module: safeName,
+              exportName,
+              isFactory,
+              isMiddleware: false,
+              params: getRouteParams(fullPath),
+              file,
+              root: dir,
+              middleware: [],
+              validators,
+              configs,
+              ...(component ? { component } : {}),
+            });
+          });
+        }
+      }
+    }
+  };
+
+  for (const root of roots) {
+    traverseDirectories(
+      root,
+      root.dir,
+      "",
+      gitignore ? readAncestorGitignores(root.dir) : []
+    );
+  }
+
+  // A route group doesn't appear in the URL, so its middleware can't be
+  // registered with `app.use` without leaking to routes outside the group;
+  // it is passed to each route in the group instead, outermost first
+  groupMiddleware.sort((a, b) => a.dir.split("/").length - b.dir.split("/").length);
+  for (const route of routes) {
+    route.middleware = groupMiddleware
+      .filter(
+        ({ root, dir }) =>
+          route.root === root && route.file.startsWith(`${dir}/`)
+      )
+      .map(({ handler, module, exportName, isFactory, file, component }) => ({
+        handler,
+        module,
+        exportName,
+        isFactory,
+        file,
+        ...(component ? { component } : {}),
+      }));
+  }
+
+  /**
+   * Custom sort function to prioritize:
+   * 1. Path depth (longer paths first)
+   * 2. Static paths over constrained params over dynamic paths over greedy
+   * paths
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  const sortPaths = (a, b) => {
+    const aParts = a.split("/").filter((p) => p !== "");
+    const bParts = b.split("/").filter((p) => p !== "");
+    // An optional param also matches the path without it, so it doesn't add
+    // to the depth, and the path without it goes first
+    const depth = (parts) =>
+      parts.length - (parts[parts.length - 1]?.endsWith("?") ? 1 : 0);
+
+    // First, sort by path depth (longer paths first)
+    if (depth(aParts) !== depth(bParts)) {
+      return depth(bParts) - depth(aParts); // Descending order (longer first)
+    }
+
+    // If same depth, compare segment by segment
+    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+      const aPart = aParts[i] || "";
+      const bPart = bParts[i] || "";
+      if (aPart === bPart) continue;
+
+      // Check if parts are parameters
+      const aIsParam = aPart.startsWith(":");
+      const bIsParam = bPart.startsWith(":");
+
+      // Check if parts are greedy parameters (contain {.+} or {.*})
+      const aIsGreedy =
+        aIsParam && (aPart.includes("{.+}") || aPart.includes("{.*}"));
+      const bIsGreedy =
+        bIsParam && (bPart.includes("{.+}") || bPart.includes("{.*}"));
+
+      // Static routes come first
+      if (!aIsParam && bIsParam) return -1;
+      if (aIsParam && !bIsParam) return 1;
+
+      // Among parameters, constrained come before unconstrained, and
+      // non-greedy before greedy
+      if (aIsParam && bIsParam) {
+        if (!aIsGreedy && bIsGreedy) return -1;
+        if (aIsGreedy && !bIsGreedy) return 1;
+        const aIsConstrained = !aIsGreedy && aPart.includes("{");
+        const bIsConstrained = !bIsGreedy && bPart.includes("{");
+        if (aIsConstrained && !bIsConstrained) return -1;
+        if (!aIsConstrained && bIsConstrained) return 1;
+      }
+
+      // Alphabetical comparison for same type
+      if (aPart > bPart) return 1;
+      if (aPart < bPart) return -1;
+    }
+    return 0;
+  };
+
+  /**
+   * Sort middleware ahead of the handlers it guards, outermost directory
+   * first so that middleware nests in directory order; handlers are then
+   * ordered by sortPaths, with `onRequest` catch-alls after the handlers for
+   * specific methods on the same path and HEAD handlers before them
+   * @param {Route} a
+   * @param {Route} b
+   * @returns {number}
+   */
+  const sortRoutes = (a, b) => {
+    if (a.isMiddleware !== b.isMiddleware) return a.isMiddleware ? -1 : 1;
+    if (a.isMiddleware) {
+      const depth = (route) => route.path.split("/").length;
+      if (depth(a) !== depth(b)) return depth(a) - depth(b);
+      return a.path > b.path ? 1 : a.path < b.path ? -1 : 0;
+    }
+    const byPath = sortPaths(a.path, b.path);
+    if (byPath !== 0) return byPath;
+    // HEAD handlers share GET routes and must run before the GET handler
+    const rank = (route) =>
+      route.method === "HEAD" ? -1 : route.method === "ALL" ? 1 : 0;
+    return rank(a) - rank(b);
+  };
+
+  // sort imports by path
+  imports.sort((a, b) => sortPaths(a.match(/'(.*)'/)[1], b.match(/'(.*)'/)[1]));
+  // sort middleware ahead of routes, and routes by path
+  routes.sort(sortRoutes);
+  // Sub-apps register each directory's routes together
+  const rootApp = subApps ? nestRoutes(routes, directories, uniqueName) : undefined;
+  if (rootApp) routes.splice(0, routes.length, ...flattenRoutes(rootApp));
+
+  // Files whose names can't be turned into a route are reported as conflicts
+  const conflicts = [...invalidFiles, ...findConflicts(routes, modules)];
+
+  // A file's config only runs for the methods the file handles, so CORS
+  // preflight requests to files without an OPTIONS or catch-all handler are
+  // answered by an OPTIONS route registered before their first route at a
+  // path
+  /** @type {Map<Route, Array<{method: string, configs: string[]}>>} */
+  const preflights = new Map();
+  /** @type {Map<string, Route[]>} */
+  const routesByFileAndPath = new Map();
+  for (const route of routes) {
+    if (route.isMiddleware) continue;
+    const key = `${route.root}\0${route.file}\0${route.path}`;
+    routesByFileAndPath.set(key, [...(routesByFileAndPath.get(key) ?? []), route]);
+  }
+  for (const fileRoutes of routesByFileAndPath.values()) {
+    const configured = fileRoutes.filter((route) => route.configs.length > 0);
+    const handlesOptions = fileRoutes.some(
+      (route) => route.method === "OPTIONS" || route.method === "ALL"
+    );
+    if (configured.length > 0 && !handlesOptions) {
+      preflights.set(
+        fileRoutes[0],
+        configured.map(({ method, configs }) => ({ method, configs }))
+      );
+    }
+  }
+
+  /**
+   * Render the calls registering a route with an app, after the middleware
+   * answering preflight requests to its path, if it needs one
+   * @param {Route} route
+   * @param {string} routePath the route's path in the app
+   * @returns {string[]}
+   */
+  const renderRouteCalls = (route, routePath) => [
+    ...(preflights.has(route)
+      ? [renderPreflight(route, preflights.get(route), lazy, routePath)]
+      : []),
+    renderRoute(route, lazy, routePath, rpc),
+  ];
+
+  /**
+   * Render the calls registering routes with an app: one statement each,
+   * or for the RPC client, a single chain whose type has every route
+   * @param {string} app the app, or the expression that creates it
+   * @param {string} name how the app is referred to, if not as `app`
+   * @param {string[]} calls
+   * @returns {string[]}
+   */
+  const renderCalls = (app, name, calls) => {
+    if (rpc) {
+      return [`${app}${calls.map((call) => `\n\t\t.${call}`).join("")};`];
+    }
+    return [...(app === name ? [] : [`${app};`]), ...calls.map((call) => `${name}.${call};`)];
+  };
+
+  /**
+   * Get the calls registering a sub-app's routes and the sub-apps mounted
+   * in it
+   * @param {SubApp} app
+   * @returns {string[]}
+   */
+  const subAppCalls = (app) => [
+    // The root's hooks are set on the app routes are loaded into
+    ...(app.onError && app.path ? [`onError(${app.onError.handler})`] : []),
+    ...app.entries.flatMap((entry) =>
+      entry.route
+        ? renderRouteCalls(entry.route, entry.route.path.slice(app.path.length) || "/")
+        : [`route(${quote(entry.app.path.slice(app.path.length))}, ${entry.app.name})`]
+    ),
+    // Hono only calls the notFound handler of the app serving the request,
+    // so a sub-app's is registered as a catch-all after its routes
+    ...(app.notFound && app.path ? [`all('/*', ${app.notFound.handler})`] : []),
+  ];
+
+  /**
+   * Render the statements setting up the sub-apps mounted in an app, before
+   * it is mounted itself, since `app.route()` copies the routes a sub-app
+   * has when it is mounted
+   * @param {SubApp} app
+   * @returns {string[]}
+   */
+  const renderMountedApps = (app) =>
+    app.entries.flatMap((entry) => (entry.app ? renderSubApp(entry.app) : []));
+
+  /**
+   * Render the statements setting up a sub-app
+   * @param {SubApp} app
+   * @returns {string[]}
+   */
+  const renderSubApp = (app) => [
+    ...renderMountedApps(app),
+    ...renderCalls(
+      // The customiser may be typed for a plain `Hono`
+      `const ${app.name} = ${
+        app.customise
+          ? `${app.customise.handler}(new Hono<T>() as Hono<any>)`
+          : "new Hono<T>()"
+      }`,
+      app.name,
+      subAppCalls(app)
+    ),
+  ];
+
+  const rootHooks = directories.get("") ?? {};
+  // Directories from the outermost in, so that inner handlers take over
+  const scopedHooks = [...directories]
+    .filter(([dirPath]) => dirPath)
+    .sort(([a], [b]) => (a > b ? 1 : a < b ? -1 : 0));
+  // Without sub-apps, errors under a directory are caught by middleware and
+  // requests no route matches fall through to a catch-all after the routes,
+  // the innermost directory's first
+  const hasScopedErrors = !subApps && scopedHooks.some(([, hooks]) => hooks.onError);
+  /** @type {string[]} */
+  let rootCalls;
+  if (!rootApp) {
+    rootCalls = [
+      ...scopedHooks
+        .filter(([, hooks]) => hooks.onError)
+        .map(([dirPath, hooks]) => `use(${quote(`${dirPath}/*`)}, catchError(${hooks.onError.handler}))`),
+      ...routes.flatMap((route) => renderRouteCalls(route, route.path)),
+      ...scopedHooks
+        .filter(([, hooks]) => hooks.notFound)
+        .reverse()
+        .map(([dirPath, hooks]) => `all(${quote(`${dirPath}/*`)}, ${hooks.notFound.handler})`),
+    ];
+  } else if (rootApp.name === "app") {
+    rootCalls = subAppCalls(rootApp);
+  } else {
+    rootCalls = [`route('/', ${rootApp.name})`];
+  }
+  const routesOutput = [
+    ...(!rootApp ? [] : rootApp.name === "app" ? renderMountedApps(rootApp) : renderSubApp(rootApp)),
+    // The RPC client's `AppType` is the type of the app returned
+    ...renderCalls(rpc ? "return app" : "app", "app", [
+      ...(rootHooks.onError ? [`onError(${rootHooks.onError.handler})`] : []),
+      ...rootCalls,
+      ...(rootHooks.notFound ? [`notFound(${rootHooks.notFound.handler})`] : []),
+    ]),
+  ];
+
+  const handlerRoutes = routes.filter((route) => !route.isMiddleware);
+  const manifestOutput = handlerRoutes.map(
+    (route) =>
+      `{ method: ${quote(route.method)}, path: ${quote(route.path)}, params: [${route.params
+        .map(
+          ({ name, greedy, optional, pattern }) =>
+            `{ name: ${quote(name)}, greedy: ${greedy}${
+              optional ? ", optional: true" : ""
+            }${pattern ? `, pattern: ${quote(pattern)}` : ""} }`
+        )
+        .join(", ")}], file: ${quote(route.file)} },`
+  );
+  const routeParamsOutput = [
+    ...new Map(handlerRoutes.map((route) => [route.path, route])).values(),
+  ].map((route) =>
+    route.params.length > 0
+      ? `${quote(route.path)}: { ${route.params
+          .map(
+            ({ name, optional }) =>
+              `${quote(name)}${optional ? "?" : ""}: string | number;`
+          )
+          .join(" ")} };`
+      : `${quote(route.path)}: {};`
+  );
+
+  const hasHead = routes.some((route) => route.method === "HEAD");
+  const hasValidators = routes.some((route) => route.validators.length > 0);
+  const hasConfigs = routes.some((route) => route.configs.length > 0);
+  // Factories run as a chain wherever a handler can't be spread into the
+  // route: under onlyHead, behind a lazy stub, and for validation and route
+  // config
+  const chainHelper =
+    hasHead || lazy || hasValidators || hasConfigs
+      ? `
+type Handler = (c: Context, next: Next) => any;
+
+const chain = (handlers: Handler[]): MiddlewareHandler => async (c, next) => {
+\tconst dispatch = async (i: number): Promise<void> => {
+\t\tconst handler = handlers[i];
+\t\tif (!handler) return next();
+\t\tconst res = await handler(c, () => dispatch(i + 1));
+\t\t// As in Hono's compose, a returned response is used unless one is set
+\t\tif (res && !c.finalized) c.res = res;
+\t};
+\tawait dispatch(0);
+\treturn c.finalized ? c.res : undefined;
+};
+`
+      : "";
+  const headHelper = hasHead
+    ? `
+const onlyHead = (...handlers: Handler[]): MiddlewareHandler => {
+\tconst run = chain(handlers);
+\treturn async (c, next) => (c.req.method === 'HEAD' ? run(c, next) : next());
+};
+`
+    : "";
+  // Stubs stand in for the handlers until the first request imports their
+  // module. For the RPC client, a stub is typed as the handler that answers
+  const lazyHelper = lazy
+    ? `${
+        rpc
+          ? `
+type Loaded<H> = H extends readonly [...unknown[], infer Last] ? Last : H extends readonly (infer Each)[] ? Each : H;
+`
+          : ""
+      }
+const lazy = <M, P extends keyof M | ((module: M) => Handler | Handler[])>(
+\tload: () => Promise<M>,
+\tpick: P
+): ${
+        rpc
+          ? "Loaded<P extends keyof M ? M[P] : P extends (module: M) => infer H ? H : never>"
+          : "MiddlewareHandler"
+      } => {
+\tlet run: MiddlewareHandler | undefined;
+\tconst stub: MiddlewareHandler = async (c, next) => {
+\t\tif (!run) {
+\t\t\tconst module = await load();
+\t\t\trun = chain([typeof pick === 'function' ? pick(module) : module[pick as keyof M]].flat() as Handler[]);
+\t\t}
+\t\treturn run(c, next);
+\t};
+\treturn stub${rpc ? " as any" : ""};
+};
+`
+    : "";
+  // Hono has already passed the error to the app's error handler, and the
+  // directory's handler replaces its response
+  const catchErrorHelper = hasScopedErrors
+    ? `
+const catchError = (handler: ErrorHandler): MiddlewareHandler => async (c, next) => {
+\tawait next();
+\tif (c.error) {
+\t\tconst err = c.error;
+\t\t// Handled here, and not again by the directories around this one
+\t\tc.error = undefined;
+\t\tc.res = await handler(err, c);
+\t}
+};
+`
+    : "";
+  // Validation schemas are Standard Schemas (zod, valibot, ArkType, ...);
+  // failures get the same 400 response whichever library made them
+  const validateHelper = hasValidators
+    ? `
+type ValidationResult =
+\t| { value: unknown; issues?: undefined }
+\t| { issues: ReadonlyArray<{ message: string; path?: ReadonlyArray<PropertyKey | { key: PropertyKey }> }> };
+
+type Schema = {
+\t'~standard': { validate: (value: unknown) => ValidationResult | Promise<ValidationResult> };
+};
+
+const validate = (...schemas: Partial<Record<keyof ValidationTargets, Schema>>[]): MiddlewareHandler =>
+\tchain(
+\t\tObject.entries(Object.assign({}, ...schemas) as Record<keyof ValidationTargets, Schema>).map(
+\t\t\t([target, schema]) =>
+\t\t\t\tvalidator(target as keyof ValidationTargets, async (value, c) => {
+\t\t\t\t\tconst result = await schema['~standard'].validate(value);
+\t\t\t\t\tif (!result.issues) return result.value;
+\t\t\t\t\treturn c.json(
+\t\t\t\t\t\t{
+\t\t\t\t\t\t\terror: 'Invalid request',
+\t\t\t\t\t\t\ttarget,
+\t\t\t\t\t\t\tissues: result.issues.map(({ message, path = [] }) => ({
+\t\t\t\t\t\t\t\tmessage,
+\t\t\t\t\t\t\t\tpath: path.map((segment) => (typeof segment === 'object' ? segment.key : segment)),
+\t\t\t\t\t\t\t})),
+\t\t\t\t\t\t},
+\t\t\t\t\t\t400
+\t\t\t\t\t);
+\t\t\t\t})
+\t\t)
+\t);
+`
+    : "";
+
+  // Route config turns into Hono's own middleware where there is one. Auth
+  // and rate limits depend on the app, which passes their checks to
+  // loadRoutes
+  const configHelper = hasConfigs
+    ? `
+type Duration = number | string;
+
+export type RouteConfig = {
+\tcors?: boolean | Parameters<typeof cors>[0];
+\tcache?: Duration;
+\tauth?: string | string[];
+\trateLimit?: string | { limit: number; window: Duration };
+};
+
+export type RouteOptions = {
+\tverifyToken?: (token: string, roles: string[], c: Context) => boolean | Promise<boolean>;
+\trateLimit?: (c: Context, rule: { limit: number; window: number }) => boolean | Promise<boolean>;
+};
+
+const toSeconds = (duration: Duration): number => {
+\tif (typeof duration === 'number') return duration;
+\tconst match = duration.trim().match(/^(\\d+(?:\\.\\d+)?)?\\s*(s|sec|seconds?|m|min|minutes?|h|hours?|d|days?)$/);
+\tif (!match) throw new Error(\`Invalid duration: \${duration}\`);
+\treturn Number(match[1] ?? 1) * { s: 1, m: 60, h: 3600, d: 86400 }[match[2][0] as 's' | 'm' | 'h' | 'd'];
+};
+
+const configure = (routeOptions: RouteOptions, ...configs: (RouteConfig | undefined)[]): MiddlewareHandler => {
+\tconst { cors: corsOptions, cache, auth, rateLimit } = Object.assign({}, ...configs) as RouteConfig;
+\tconst handlers: Handler[] = [];
+\tif (corsOptions) handlers.push(cors(corsOptions === true ? undefined : corsOptions));
+\tif (rateLimit) {
+\t\tconst limiter = routeOptions.rateLimit;
+\t\tif (!limiter) throw new Error('A route has a rateLimit config, but loadRoutes was given no rateLimit option');
+\t\tconst [limit, window] = typeof rateLimit === 'string' ? rateLimit.split('/') : [rateLimit.limit, rateLimit.window];
+\t\tif (!Number.isInteger(Number(limit)) || window === undefined) {
+\t\t\tthrow new Error(\`Invalid rate limit: \${JSON.stringify(rateLimit)}\`);
+\t\t}
+\t\tconst rule = { limit: Number(limit), window: toSeconds(window) };
+\t\thandlers.push(async (c, next) =>
+\t\t\t(await limiter(c, rule)) ? next() : c.text('Too Many Requests', 429, { 'Retry-After': String(rule.window) })
+\t\t);
+\t}
+\tif (auth) {
+\t\tconst { verifyToken } = routeOptions;
+\t\tif (!verifyToken) throw new Error('A route has an auth config, but loadRoutes was given no verifyToken option');
+\t\tconst roles = [auth].flat();
+\t\thandlers.push(bearerAuth({ verifyToken: (token, c) => verifyToken(token, roles, c) }));
+\t}
+\tif (cache !== undefined) {
+\t\tconst maxAge = toSeconds(cache);
+\t\tconst tag = etag();
+\t\t// Only GET and HEAD responses are cached, so one config can cover every
+\t\t// method. Responses to authenticated requests aren't for shared caches
+\t\tconst cacheControl = \`\${auth ? 'private' : 'public'}, max-age=\${maxAge}\`;
+\t\thandlers.push(async (c, next) => {
+\t\t\tif (c.req.method !== 'GET' && c.req.method !== 'HEAD') return next();
+\t\t\tawait tag(c, async () => {
+\t\t\t\tawait next();
+\t\t\t\tif (c.res.ok && !c.res.headers.has('Cache-Control')) {
+\t\t\t\t\tc.header('Cache-Control', cacheControl);
+\t\t\t\t}
+\t\t\t});
+\t\t});
+\t}
+\treturn chain(handlers);
+};
+${
+  preflights.size > 0
+    ? `
+const preflight = (configs: Record<string, (RouteConfig | undefined)[]>): MiddlewareHandler => {
+\tconst handlers = new Map<string, MiddlewareHandler>();
+\tfor (const [method, methodConfigs] of Object.entries(configs)) {
+\t\tconst { cors: corsOptions } = Object.assign({}, ...methodConfigs) as RouteConfig;
+\t\tif (corsOptions) handlers.set(method, cors(corsOptions === true ? undefined : corsOptions));
+\t}
+\treturn async (c, next) => {
+\t\tconst method = c.req.header('Access-Control-Request-Method');
+\t\tconst handler = method && handlers.get(method.toUpperCase());
+\t\treturn handler ? handler(c, next) : next();
+\t};
+};
+`
+    : ""
+}`
+    : "";
+
+  const components = new Set(
+    routes.flatMap((route) => [route, ...route.middleware]).map(({ component }) => component)
+  );
+  const hasPages = components.has("page");
+  const hasLayouts = components.has("layout");
+  // Components are called with the context too, and only while rendering,
+  // so that `useRequestContext()` works in them
+  const componentHelper =
+    hasPages || hasLayouts
+      ? `
+type Component = (props: any, c: Context) => any;
+${
+  hasPages
+    ? `
+const renderPage = (Page: Component): MiddlewareHandler => async (c) =>
+\tc.render(jsx((params: Record<string, string>) => Page(params, c), c.req.param()) as any);
+`
+    : ""
+}${
+  // Each layout renders inside the layout of the directory around it
+  hasLayouts
+    ? `
+const renderLayout = (Layout: Component): MiddlewareHandler =>
+\tjsxRenderer(({ Layout: Outer, children, ...props }, c) => {
+\t\t// Older Hono versions type jsx() children as strings and escaped strings
+\t\tconst content = jsx((props: any) => Layout(props, c), props, children as any);
+\t\treturn jsx(Outer, props, content as any) as any;
+\t});
+`
+    : ""
+}`
+      : "";
+
+  const honoImports = [
+    "Hono",
+    "Env",
+    ...(chainHelper || componentHelper || configHelper ? ["Context"] : []),
+    ...(chainHelper ? ["Next"] : []),
+    ...(chainHelper || catchErrorHelper || componentHelper ? ["MiddlewareHandler"] : []),
+    ...(catchErrorHelper ? ["ErrorHandler"] : []),
+    ...(hasValidators ? ["ValidationTargets"] : []),
+  ];
+  const outputContent = `
+import { ${honoImports.join(", ")} } from 'hono';
+${hasValidators ? "import { validator } from 'hono/validator';\n" : ""}${
+    componentHelper ? "import { jsx } from 'hono/jsx';\n" : ""
+  }${hasLayouts ? "import { jsxRenderer } from 'hono/jsx-renderer';\n" : ""}${
+    hasConfigs
+      ? "import { cors } from 'hono/cors';\nimport { etag } from 'hono/etag';\nimport { bearerAuth } from 'hono/bearer-auth';\n"
+      : ""
+  }
+${imports.join("\n")}
+${chainHelper}${headHelper}${lazyHelper}${catchErrorHelper}${componentHelper}${validateHelper}${configHelper}
+export const loadRoutes = <T extends Env>(app: Hono<T>${
+    hasConfigs ? ", routeOptions: RouteOptions = {}" : ""
+  }) => {
+\t${routesOutput.join("\n\t")}
+};
+${rpc ? "\nexport type AppType = ReturnType<typeof loadRoutes>;\n" : ""}
+export const routes = [
+\t${manifestOutput.join("\n\t")}
+] as const;
+
+export type RouteParams = {
+\t${routeParamsOutput.join("\n\t")}
+};
+
+export type RoutePath = keyof RouteParams;
+
+export const url = <P extends RoutePath>(
+\tpath: P,
+\t...[params]: {} extends RouteParams[P] ? [params?: RouteParams[P]] : [params: RouteParams[P]]
+): string =>
+\tpath
+\t\t.split('/')
+\t\t.flatMap((segment) => {
+\t\t\tconst match = segment.match(/^:([^{?]+)(\\{.*\\})?(\\?)?$/);
+\t\t\tif (!match) return [segment];
+\t\t\tconst param = (params as Record<string, string | number> | undefined)?.[match[1]];
+\t\t\t// An optional param that isn't given is left out
+\t\t\tif (param === undefined && match[3]) return [];
+\t\t\tconst value = String(param ?? '');
+\t\t\treturn match[2] === '{.+}' || match[2] === '{.*}'
+\t\t\t\t? [value.split('/').map(encodeURIComponent).join('/')]
+\t\t\t\t: [encodeURIComponent(value)];
+\t\t})
+\t\t.join('/') || '/';
+`;
+
+  let written = false;
+  if (conflicts.length > 0) {
+    for (const conflict of conflicts) {
+      logError(`Error: ${conflict}`);
+    }
+    logError(
+      `Found ${conflicts.length} route conflict${
+        conflicts.length === 1 ? "" : "s"
+      } in ${roots.map(({ dir }) => dir).join(", ")}${
+        write ? `, ${out} was not written` : ""
+      }`
+    );
+  } else if (write) {
+    // Leave an unchanged router alone, so that it doesn't set off the
+    // watchers of dev servers and bundlers
+    written =
+      !fs.existsSync(out) || fs.readFileSync(out, "utf-8") !== outputContent;
+    if (written) {
+      fs.writeFileSync(out, outputContent);
+      log(colors.magenta, `Routes generated in ${out}`);
+    } else {
+      log(colors.magenta, `Routes in ${out} are up to date`);
+    }
+  }
+
+  return { routes, source: outputContent, conflicts, written, files, dirs };
+};
+
+/**
+ * @typedef {Object} OpenAPIOptions
+ * @property {string} [out] path of the OpenAPI document, `openapi.json` next
+ * to the router by default
+ * @property {Record<string, unknown>} [info] the document's `info` object,
+ * taken from the package.json in the working directory by default
+ */
+
+/**
+ * HTTP methods that can be described as OpenAPI operations
+ */
+const openAPIMethods = [
+  "GET",
+  "PUT",
+  "POST",
+  "DELETE",
+  "OPTIONS",
+  "HEAD",
+  "PATCH",
+  "TRACE",
+];
+
+/**
+ * Validation targets that become OpenAPI parameters, by their `in` value
+ */
+const parameterTargets = {
+  param: "path",
+  query: "query",
+  header: "header",
+  cookie: "cookie",
+};
+
+/**
+ * Validation targets that become an OpenAPI request body, by media type
+ */
+const bodyTargets = {
+  json: "application/json",
+  form: "application/x-www-form-urlencoded",
+};
+
+/**
+ * Convert a Hono route path to an OpenAPI path template; greedy and
+ * constrained params become plain path params, and optional params lose
+ * their mark
+ * @param {string} routePath
+ * @returns {string}
+ */
+const toOpenAPIPath = (routePath) =>
+  routePath
+    .split("/")
+    .map((segment) => {
+      const match = matchParam(segment);
+      return match ? `{${match[1]}}` : segment;
+    })
+    .join("/");
+
+/**
+ * Load a route module to read its metadata. The module is bundled on its
+ * own, with packages left as imports so that schemas are built by the
+ * project's own copies of zod, valibot and the like
+ * @param {string} file
+ * @param {string} [contents] source to bundle in place of the file's, such
+ * as a router that hasn't been written
+ * @returns {Record<string, any>}
+ */
+const loadRouteModule = (file, contents) => {
+  let esbuild;
+  try {
+    esbuild = require("esbuild");
+  } catch {
+    throw new Error(
+      "esbuild is needed to load route files: npm install -D esbuild"
+    );
+  }
+  const { outputFiles } = esbuild.buildSync({
+    ...(contents === undefined
+      ? { entryPoints: [file] }
+      : {
+          stdin: {
+            contents,
+            resolveDir: path.dirname(file),
+            sourcefile: file,
+            loader: "ts",
+          },
+        }),
+    bundle: true,
+    write: false,
+    platform: "node",
+    format: "cjs",
+    packages: "external",
+    // Pages and layouts are rendered with hono/jsx, unless the project's
+    // tsconfig.json says otherwise
+    jsx: "automatic",
+    jsxImportSource: "hono/jsx",
+    logLevel: "silent",
+  });
+  const routeModule = new Module(file, module);
+  routeModule.filename = file;
+  routeModule.paths = Module._nodeModulePaths(path.dirname(file));
+  routeModule._compile(outputFiles[0].text, file);
+  return routeModule.exports;
+};
+
+/**
+ * Convert a validation schema to JSON Schema. Standard JSON Schema
+ * (zod 4, ArkType) is used directly, valibot and zod 3 schemas through their
+ * converter packages, and anything else is taken to be JSON Schema already
+ * @param {any} schema
+ * @param {"input" | "output"} direction whether the schema describes what is
+ * sent to the route or what it responds with
+ * @param {string} file route file the schema was exported from
+ * @returns {Record<string, any>}
+ */
+const toJSONSchema = (schema, direction, file) => {
+  const standard = schema?.["~standard"];
+  const requireFromFile = createRequire(file);
+  /** @type {Record<string, any>} */
+  let jsonSchema;
+  if (standard?.jsonSchema) {
+    jsonSchema = standard.jsonSchema[direction]({ target: "draft-2020-12" });
+  } else if (standard?.vendor === "valibot") {
+    jsonSchema = requireFromFile("@valibot/to-json-schema").toJsonSchema(schema);
+  } else if (standard?.vendor === "zod") {
+    jsonSchema = requireFromFile("zod-to-json-schema").zodToJsonSchema(schema);
+  } else if (standard) {
+    throw new Error(
+      `Can't convert a ${standard.vendor} schema to JSON Schema in ${file}`
+    );
+  } else {
+    jsonSchema = schema;
+  }
+  const { $schema, ...rest } = jsonSchema;
+  return rest;
+};
+
+/**
+ * Keys of `meta`, `schema` and `validate` exports that hold validation
+ * schemas, rather than OpenAPI operation fields
+ */
+const schemaKeys = [
+  ...Object.keys(parameterTargets),
+  ...Object.keys(bodyTargets),
+  "response",
+  "responses",
+];
+
+/**
+ * Describe a route as an OpenAPI operation from the `meta`, `validate` and
+ * `schema` exports of its file and their per-method variants (`metaGet`,
+ * `validatePost`). Operation fields such as `summary` and `tags` are copied,
+ * and schemas for the validation targets and responses are converted
+ * @param {Route} route
+ * @param {Record<string, any>} routeModule
+ * @returns {Record<string, any>}
+ */
+const describeOperation = (route, routeModule) => {
+  const file = path.resolve(route.root, route.file);
+  const suffix = methodExportName(route.method).slice("onRequest".length);
+  const merged = {
+    ...routeModule.meta,
+    ...routeModule[`meta${suffix}`],
+    ...routeModule.validate,
+    ...routeModule[`validate${suffix}`],
+    ...routeModule.schema,
+    ...routeModule[`schema${suffix}`],
+  };
+  const meta = Object.fromEntries(
+    Object.entries(merged).filter(([key]) => !schemaKeys.includes(key))
+  );
+  const schema = Object.fromEntries(
+    Object.entries(merged).filter(([key]) => schemaKeys.includes(key))
+  );
+
+  /** @type {Array<Record<string, any>>} */
+  const parameters = [];
+  for (const [target, location] of Object.entries(parameterTargets)) {
+    if (!schema[target]) continue;
+    const { properties = {}, required = [] } = toJSONSchema(
+      schema[target],
+      "input",
+      file
+    );
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      // A left out optional param isn't part of the path
+      if (location === "path" && !route.params.some((p) => p.name === name)) {
+        continue;
+      }
+      parameters.push({
+        name,
+        in: location,
+        required: location === "path" || required.includes(name),
+        schema: propertySchema,
+      });
+    }
+  }
+  // Params without a schema are still declared by the route's file name
+  for (const { name, pattern } of route.params) {
+    if (!parameters.some((p) => p.in === "path" && p.name === name)) {
+      parameters.push({
+        name,
+        in: "path",
+        required: true,
+        schema: pattern
+          ? { type: "string", pattern: `^(?:${pattern})$` }
+          : { type: "string" },
+      });
+    }
+  }
+
+  const bodies = Object.entries(bodyTargets).filter(
+    ([target]) => schema[target]
+  );
+  const responses = Object.entries(
+    schema.responses ?? (schema.response ? { 200: schema.response } : {})
+  ).map(([status, response]) => {
+    // A response is either a schema or `{ description, schema }`; OpenAPI
+    // response objects with their own `content` are used as they are
+    const isResponseObject =
+      !response["~standard"] &&
+      ("schema" in response ||
+        "content" in response ||
+        ("description" in response &&
+          !("type" in response || "$ref" in response)));
+    const { schema: responseSchema, ...responseObject } = isResponseObject
+      ? response
+      : { schema: response };
+    return [
+      status,
+      {
+        description: http.STATUS_CODES[status] ?? "Response",
+        ...responseObject,
+        ...(responseSchema && {
+          content: {
+            "application/json": {
+              schema: toJSONSchema(responseSchema, "output", file),
+            },
+          },
+        }),
+      },
+    ];
+  });
+
+  return {
+    ...meta,
+    ...(parameters.length > 0 && { parameters }),
+    ...(bodies.length > 0 && {
+      requestBody: {
+        required: true,
+        content: Object.fromEntries(
+          bodies.map(([target, mediaType]) => [
+            mediaType,
+            { schema: toJSONSchema(schema[target], "input", file) },
+          ])
+        ),
+      },
+    }),
+    responses:
+      responses.length > 0
+        ? Object.fromEntries(responses)
+        : { 200: { description: http.STATUS_CODES[200] } },
+  };
+};
+
+/**
+ * Get the path of the OpenAPI document generated for a router
+ * @param {GenerateOptions} options
+ * @returns {string}
+ */
+const openAPIOutFile = ({ openapi, outFile }) => {
+  const out = typeof openapi === "object" ? openapi.out : openapi;
+  return typeof out === "string"
+    ? out
+    : path.join(path.dirname(outFile), "openapi.json");
+};
+
+/**
+ * Generate an OpenAPI document from the routes, written next to the router
+ * unless `openapi.out` says otherwise. Route files that export `meta`,
+ * `schema` or `validate` objects are loaded to describe their operations
+ * @param {GenerateOptions} options `write` and `silent` apply to the document
+ * @returns {Promise<{document: Record<string, any>, source: string, out: string, written: boolean} | undefined>}
+ * the document and its JSON, or nothing when there are route conflicts
+ */
+const generateOpenAPI = async (options) => {
+  const { openapi, write = true, silent = false } = options;
+  const { routes, conflicts } = generateRoutes({
+    ...options,
+    write: false,
+    silent: true,
+  });
+  if (conflicts.length > 0) return undefined;
+
+  const out = openAPIOutFile(options);
+  const info = typeof openapi === "object" ? openapi.info : undefined;
+  const packageFile = path.resolve("package.json");
+  const packageJson = fs.existsSync(packageFile)
+    ? JSON.parse(fs.readFileSync(packageFile, "utf-8"))
+    : {};
+
+  /** @type {Map<string, Record<string, any>>} */
+  const routeModules = new Map();
+  /** @type {Record<string, Record<string, any>>} */
+  const paths = {};
+  for (const route of routes) {
+    if (route.isMiddleware || !openAPIMethods.includes(route.method)) continue;
+    const file = path.resolve(route.root, route.file);
+    if (!routeModules.has(file)) {
+      const exports = getModuleExports(fs.readFileSync(file, "utf-8"), file);
+      const hasMetadata = [...exports.keys()].some((name) =>
+        /^(meta|schema|validate)([A-Z]|$)/.test(name)
+      );
+      routeModules.set(file, hasMetadata ? loadRouteModule(file) : {});
+    }
+    // OpenAPI path params are always required, so a route with an optional
+    // param is described once without it and once with it
+    const variants = route.params.some(({ optional }) => optional)
+      ? [
+          {
+            ...route,
+            path: route.path.replace(/\/[^/]*$/, "") || "/",
+            params: route.params.filter(({ optional }) => !optional),
+          },
+          route,
+        ]
+      : [route];
+    for (const variant of variants) {
+      const openAPIPath = toOpenAPIPath(variant.path);
+      paths[openAPIPath] = {
+        ...paths[openAPIPath],
+        [route.method.toLowerCase()]: describeOperation(
+          variant,
+          routeModules.get(file)
+        ),
+      };
+    }
+  }
+
+  const document = {
+    openapi: "3.1.0",
+    info: info ?? {
+      title: packageJson.name ?? "API",
+      version: packageJson.version ?? "1.0.0",
+    },
+    paths,
+  };
+  const source = JSON.stringify(document, null, 2) + "\n";
+  const written =
+    write && (!fs.existsSync(out) || fs.readFileSync(out, "utf-8") !== source);
+  if (written) {
+    fs.writeFileSync(out, source);
+    if (!silent) {
+      console.log(colors.magenta, `OpenAPI document generated in ${out}`, colors.reset);
+    }
+  }
+  return { document, source, out, written };
+};
+
+/**
+ * Files a static export writes responses to, by content type; responses to
+ * paths that end in a file extension are written to that path instead
+ */
+const exportedTypes = [
+  { type: /^text\/html\b/, file: (urlPath) => `${urlPath}/index.html` },
+  {
+    type: /^application\/([\w.-]+\+)?json\b/,
+    file: (urlPath) => `${urlPath || "/index"}.json`,
+  },
+];
+
+/**
+ * Fill in a route path's params to get a URL path. Greedy params take a
+ * `/`-separated string or an array of segments, and optional params may be
+ * left out
+ * @param {string} routePath
+ * @param {Record<string, string | string[] | number>} params
+ * @returns {string}
+ * @throws if a required param is missing
+ */
+const fillParams = (routePath, params) =>
+  routePath
+    .split("/")
+    .flatMap((segment) => {
+      const match = matchParam(segment);
+      if (!match) return [segment];
+      const value = params[match[1]];
+      if (value === undefined) {
+        if (match[3]) return [];
+        throw new Error(`no value for :${match[1]}`);
+      }
+      const greedy = match[2] === ".+" || match[2] === ".*";
+      const values = Array.isArray(value)
+        ? value.map(String)
+        : greedy
+          ? String(value).split("/")
+          : [String(value)];
+      return [values.map(encodeURIComponent).join("/")];
+    })
+    .join("/") || "/";
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} outDir directory to write the responses to
+ */
 
-  return methods.flatMap((method) => {
-    // Check for factory method export (array return) - arrow function
-    const factoryRegex = new RegExp(
-      `export const ${method} = .*createHandlers`
-    );
-    if (factoryRegex.test(fileContent)) {
-      return [{ method, isFactory: true }];
+/**
+ * @typedef {Object} ExportedPage
+ * @property {string} url requested path
+ * @property {string} file file the response was written to
+ * @property {number} status
+ */
+
+/**
+ * Render a static site: request every GET route from the routes loaded into
+ * a Hono app in-process, and write the HTML and JSON responses to
+ * `outDir`. Routes with params are requested once for each set of params
+ * listed by their file's `getStaticPaths` export, and are skipped without
+ * one
+ * @param {GenerateOptions & ExportOptions} options `silent` applies to the
+ * export
+ * @returns {Promise<{pages: ExportedPage[], errors: string[]}>} the written
+ * pages, and the route conflicts or failed requests; nothing is exported when
+ * there are route conflicts
+ */
+const exportStatic = async (options) => {
+  const { outDir, silent = false } = options;
+  const { routes, source, conflicts } = generateRoutes({
+    ...options,
+    write: false,
+    silent: true,
+  });
+  if (conflicts.length > 0) return { pages: [], errors: conflicts };
+
+  /**
+   * Log a message unless running silently
+   * @param {string} color
+   * @param {string} message
+   */
+  const log = (color, message) => {
+    if (!silent) console.log(color, message, colors.reset);
+  };
+
+  // The router is bundled as if it had been written to `outFile`, so that
+  // its imports resolve the same way
+  const outFile = path.resolve(options.outFile);
+  const { loadRoutes } = loadRouteModule(outFile, source);
+  const { Hono } = createRequire(outFile)("hono");
+  const app = new Hono();
+  loadRoutes(app);
+
+  /** @type {Array<{url: string, file: string}>} */
+  const requests = [];
+  /** @type {string[]} */
+  const errors = [];
+  for (const route of routes) {
+    if (route.isMiddleware || route.method !== "GET") continue;
+    const file = path.join(route.root, route.file);
+    const absoluteFile = path.resolve(file);
+    const exports = getModuleExports(fs.readFileSync(absoluteFile, "utf-8"), absoluteFile);
+    if (!exports.has("getStaticPaths")) {
+      if (route.params.some(({ optional }) => !optional)) {
+        log(colors.yellow, `Skipped ${route.path} (${file} has no getStaticPaths export)`);
+        continue;
+      }
+      requests.push({ url: fillParams(route.path, {}), file });
+      continue;
     }
+    try {
+      const paramsList = await loadRouteModule(absoluteFile).getStaticPaths();
+      const pattern = compilePattern(route.path);
+      for (const params of paramsList) {
+        const url = fillParams(route.path, params);
+        if (!pattern.test(url)) {
+          throw new Error(`${url} doesn't match ${route.path}`);
+        }
+        requests.push({ url, file });
+      }
+    } catch (error) {
+      errors.push(`${file}: getStaticPaths failed: ${error.message}`);
+    }
+  }
 
-    // Check for standard export - arrow function
-    if (fileContent.includes(`export const ${method}`)) {
-      return [{ method, isFactory: false }];
+  const root = path.resolve(outDir);
+  /** @type {ExportedPage[]} */
+  const pages = [];
+  const written = new Set();
+  for (const request of requests) {
+    const { file } = request;
+    // An empty greedy param leaves a trailing slash, as in `/docs/`, which
+    // Hono needs to match the route but is the same page as `/docs`
+    const url = request.url.replace(/(.)\/$/, "$1");
+    if (written.has(url)) continue;
+    written.add(url);
+    // A failing route leaves its page out, not the pages after it
+    try {
+      const response = await app.request(request.url);
+      if (!response.ok) {
+        errors.push(`${url} (${file}) responded with ${response.status}`);
+        continue;
+      }
+      const urlPath = url.replace(/\/$/, "");
+      const contentType = response.headers.get("content-type") ?? "";
+      const exportedType = exportedTypes.find(({ type }) => type.test(contentType));
+      const outPath = /\.[^/.]+$/.test(urlPath)
+        ? urlPath
+        : exportedType?.file(urlPath);
+      if (!outPath) {
+        log(colors.yellow, `Skipped ${url} (${contentType || "no content type"} isn't HTML or JSON)`);
+        continue;
+      }
+      const target = path.join(root, ...outPath.split("/").map(decodeURIComponent));
+      if (!target.startsWith(root + path.sep)) {
+        errors.push(`${url} (${file}) would be written outside ${outDir}`);
+        continue;
+      }
+      const body = Buffer.from(await response.arrayBuffer());
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, body);
+      pages.push({ url, file: target, status: response.status });
+      log(colors.green, `${url} -> ${path.relative(process.cwd(), target)}`);
+    } catch (error) {
+      errors.push(`${url} (${file}) failed: ${error.message}`);
     }
+  }
+  return { pages, errors };
+};
 
-    // Check for factory method export (array return) - normal function
-    const factoryFunctionRegex = new RegExp(
-      `export function ${method}\\(.*\\).*createHandlers`
-    );
-    if (factoryFunctionRegex.test(fileContent)) {
-      return [{ method, isFactory: true }];
+/**
+ * Values tried in turn for a param when testing routes; a constrained param
+ * takes the ones its regular expression matches
+ */
+const sampleValues = [
+  "sample",
+  "1",
+  "00000000-0000-0000-0000-000000000000",
+  "Sample_1.x",
+];
+
+/**
+ * Response header the routes of a test app answer with, naming the route
+ */
+const testRouteHeader = "x-hono-router-route";
+
+/**
+ * @typedef {Object} RouteTestResult
+ * @property {Route} route
+ * @property {string} method method of the sample request
+ * @property {string} [url] sample URL, unless no sample value matches a param;
+ * a route with greedy or optional params has a result for its longest and
+ * shortest URLs
+ * @property {"pass" | "fail" | "skip"} status
+ * @property {string} [reason] why the route was skipped
+ * @property {Route} [reached] route the sample request reached instead, if
+ * it reached another file
+ */
+
+/**
+ * Check that the routes resolve requests in the order they are registered:
+ * register a stub for each route with a Hono app, in the same order as the
+ * generated router, and dispatch sample requests to see that they reach the
+ * route's file: one with every param filled in, and for routes with greedy
+ * or optional params, the shortest URL the route accepts. Route files are
+ * never run. Each URL is tried with a few param values, so that it passes
+ * if any of them reaches the route
+ * @param {GenerateOptions} options
+ * @returns {Promise<{results: RouteTestResult[], errors: string[]}>} the
+ * result of each URL, and the route conflicts or failures; nothing is tested
+ * when there are route conflicts
+ */
+const testRoutes = async (options) => {
+  const { routes, conflicts } = generateRoutes({
+    ...options,
+    write: false,
+    silent: true,
+  });
+  if (conflicts.length > 0) return { results: [], errors: conflicts };
+
+  const { Hono } = createRequire(path.resolve(options.outFile))("hono");
+  const app = new Hono();
+  routes.forEach((route, index) => {
+    if (route.isMiddleware) return;
+    const handler = (c, next) => {
+      // HEAD routes are registered as GET routes that only answer HEAD
+      if (route.method === "HEAD" && c.req.method !== "HEAD") return next();
+      return c.body(null, 204, { [testRouteHeader]: String(index) });
+    };
+    if (route.method === "ALL") app.all(route.path, handler);
+    else if (route.method === "HEAD") app.get(route.path, handler);
+    else app.on(route.method, route.path, handler);
+  });
+
+  /** @type {RouteTestResult[]} */
+  const results = [];
+  /** @type {string[]} */
+  const errors = [];
+  // URLs that a route without params serves, which other routes leave to it
+  const staticPaths = new Set(
+    routes
+      .filter((route) => !route.isMiddleware && route.params.length === 0)
+      .map((route) => route.path)
+  );
+  for (const route of routes) {
+    if (route.isMiddleware) continue;
+    const file = path.join(route.root, route.file);
+    const method = route.method === "ALL" ? "GET" : route.method;
+    // The longest URL, where every greedy param spans two segments, and the
+    // shortest, without optional params, with zero-or-more params left out
+    // and one-or-more params spanning one segment
+    const shortPath =
+      route.path
+        .split("/")
+        .filter((segment) => {
+          const match = matchParam(segment);
+          return !match || (!match[3] && match[2] !== ".*");
+        })
+        .join("/") || "/";
+    const variants = [
+      { variantPath: route.path, long: true },
+      ...(route.params.some(({ greedy, optional }) => greedy || optional)
+        ? [{ variantPath: shortPath, long: false }]
+        : []),
+    ];
+    for (const { variantPath, long } of variants) {
+      const params = getRouteParams(variantPath);
+      const candidates = params.map(({ greedy, pattern }) => {
+        const matcher = new RegExp(`^(?:${pattern ?? ".+"})$`);
+        const values = sampleValues.filter((value) => matcher.test(value));
+        return greedy && long ? values.map((value) => `${value}/${value}`) : values;
+      });
+      if (candidates.some((values) => values.length === 0)) {
+        results.push({
+          route,
+          method,
+          status: "skip",
+          reason: "no sample value matches its params",
+        });
+        continue;
+      }
+
+      /** @type {RouteTestResult | undefined} */
+      let failed;
+      const attempts = Math.max(1, ...candidates.map((values) => values.length));
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        const url = fillParams(
+          variantPath,
+          Object.fromEntries(
+            params.map(({ name }, index) => {
+              const values = candidates[index];
+              return [name, values[Math.min(attempt, values.length - 1)]];
+            })
+          )
+        );
+        // Left to the static route for the same URL, as intended
+        if (url !== route.path && staticPaths.has(url)) {
+          failed = undefined;
+          results.push({ route, method, url, status: "skip", reason: "shadowed by static route" });
+          break;
+        }
+        const response = await app.request(url, { method });
+        const reachedIndex = response.headers.get(testRouteHeader);
+        const reached = reachedIndex === null ? undefined : routes[Number(reachedIndex)];
+        if (reached && path.join(reached.root, reached.file) === file) {
+          failed = undefined;
+          results.push({ route, method, url, status: "pass" });
+          break;
+        }
+        failed ??= { route, method, url, status: "fail", reached };
+      }
+      if (failed) {
+        results.push(failed);
+        errors.push(
+          failed.reached
+            ? `${method} ${failed.url} reached ${path.join(failed.reached.root, failed.reached.file)} (${failed.reached.method} ${failed.reached.path}) instead of ${file} (${route.method} ${route.path})`
+            : `${method} ${failed.url} matched no route instead of ${file} (${route.method} ${route.path})`
+        );
+      }
     }
+  }
+  return { results, errors };
+};
 
-    // Check for standard export - normal function
-    if (fileContent.includes(`export function ${method}`)) {
-      return [{ method, isFactory: false }];
+/**
+ * @typedef {Object} Config
+ * @property {string} [dir] routes directory, when there is only one
+ * @property {string} [out] generated router, when there is only one
+ * @property {string} [prefix] base path to mount routes at
+ * @property {Array<{dir: string, prefix?: string, out?: string}>} [routes]
+ * several routes directories; entries sharing an `out` file are combined
+ * into one router
+ * @property {Runtime} [runtime] how the router's imports are resolved
+ * @property {boolean} [deno] generate Deno-compatible imports
+ * @property {boolean} [lazy] import each route module on its first request
+ * @property {boolean} [subApps] register each directory's routes with its
+ * own Hono app
+ * @property {boolean} [rpc] export an `AppType` for Hono's RPC client
+ * @property {boolean | string | OpenAPIOptions} [openapi] also generate an
+ * OpenAPI document, optionally at the given path
+ * @property {string[]} [methods] additional HTTP methods to recognise
+ * @property {string[]} [extensions] route file extensions
+ * @property {Record<string, string>} [matchers] regular expressions of param
+ * matchers
+ * @property {string[]} [ignore] globs of files and directories to skip
+ * @property {string[]} [exclude] more globs to skip
+ * @property {string[]} [include] globs that route files must match
+ * @property {boolean} [gitignore] skip files ignored by `.gitignore`
+ */
+
+/**
+ * Config file names looked up in the working directory, in order
+ */
+const configFiles = [
+  "hono-router.config.js",
+  "hono-router.config.mjs",
+  "hono-router.config.cjs",
+  "hono-router.config.json",
+];
+
+/**
+ * Load the config file given with `--config`, or the first config file found
+ * in the working directory
+ * @param {string} [configPath]
+ * @returns {Promise<{config: Config, dir: string} | undefined>}
+ */
+const loadConfig = async (configPath) => {
+  const file = configPath
+    ? path.resolve(configPath)
+    : configFiles.map((name) => path.resolve(name)).find(fs.existsSync);
+  if (!file) return undefined;
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+  const config = file.endsWith(".json")
+    ? JSON.parse(fs.readFileSync(file, "utf-8"))
+    : (await import(pathToFileURL(file).href)).default;
+  return { config, dir: path.dirname(file) };
+};
+
+/**
+ * Turn a config into the options for each router it generates. Paths in the
+ * config are relative to the config file
+ * @param {Config} config
+ * @param {string} configDir
+ * @returns {GenerateOptions[]}
+ */
+const resolveConfig = (config, configDir) => {
+  /**
+   * Resolve a config path, keeping it relative to the working directory
+   * @param {string} file
+   */
+  const resolvePath = (file) =>
+    path.relative(process.cwd(), path.resolve(configDir, file)) || ".";
+
+  const entries = config.routes ?? [
+    { dir: config.dir, prefix: config.prefix, out: config.out },
+  ];
+  /** @type {Map<string, RoutesRoot[]>} */
+  const rootsByOut = new Map();
+  entries.forEach((entry, index) => {
+    const out = entry.out ?? config.out;
+    if (!entry.dir || !out) {
+      throw new Error(
+        config.routes
+          ? `Config routes[${index}] needs a dir and an out file`
+          : "Config needs a dir and an out file, or a routes list"
+      );
     }
-    return [];
+    const outFile = resolvePath(out);
+    rootsByOut.set(outFile, [
+      ...(rootsByOut.get(outFile) ?? []),
+      { dir: resolvePath(entry.dir), prefix: entry.prefix ?? config.prefix },
+    ]);
   });
+
+  const openapi =
+    typeof config.openapi === "string"
+      ? resolvePath(config.openapi)
+      : config.openapi?.out
+      ? { ...config.openapi, out: resolvePath(config.openapi.out) }
+      : config.openapi;
+
+  return [...rootsByOut].map(([outFile, roots]) => ({
+    roots,
+    outFile,
+    openapi,
+    runtime: config.runtime,
+    deno: config.deno,
+    lazy: config.lazy,
+    subApps: config.subApps,
+    rpc: config.rpc,
+    methods: config.methods,
+    extensions: config.extensions,
+    matchers: config.matchers,
+    ignore: config.ignore,
+    exclude: config.exclude,
+    include: config.include,
+    gitignore: config.gitignore,
+  }));
 };
 
 /**
- * Check if string is capitalized
- * @param {string} str
- * @returns {boolean}
+ * Remove every `--name value` or `--name=value` option from the arguments
+ * @param {string[]} args
+ * @param {string} name
+ * @returns {string[]} the option's values
  */
-const isCapitalized = (str) => {
-  const letter = str[0];
-  return letter === letter.toUpperCase() && letter !== letter.toLowerCase();
+const takeOption = (args, name) => {
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(new RegExp(`^--${name}(?:=(.*))?$`));
+    if (!match) continue;
+    values.push(match[1] ?? args[i + 1] ?? "");
+    args.splice(i, match[1] === undefined ? 2 : 1);
+    i--;
+  }
+  return values;
 };
 
 /**
- * Generate routes
- * @param {string} dir
- * @param {string} out
+ * Get the method a route is listed under; middleware is `USE`
+ * @param {Route} route
+ * @returns {string}
  */
-const generateRoutes = (dir, out, isDeno) => {
-  /** @type {string[]} */
-  const imports = [];
-  /** @type {Route[]} */
-  const routes = [];
+const listedMethod = (route) => (route.isMiddleware ? "USE" : route.method);
 
-  /**
-   * Traverse directories
-   * @param {string} currentPath
-   * @param {string} [basePath='']
-   */
-  const traverseDirectories = (currentPath, basePath = "") => {
-    const entries = fs.readdirSync(currentPath, { withFileTypes: true });
+/**
+ * Describe a route for listing, with its priority: its position in the
+ * order routes are registered, and so tried, in
+ * @param {Route} route
+ * @param {number} index
+ */
+const describeRoute = (route, index) => ({
+  priority: index + 1,
+  method: route.method,
+  path: route.path,
+  file: path.join(route.root, route.file),
+  isFactory: route.isFactory,
+  isMiddleware: route.isMiddleware,
+  params: route.params,
+  middleware: route.middleware.map(({ file }) => path.join(route.root, file)),
+});
 
-    for (const entry of entries) {
-      const entryPath = path.join(currentPath, entry.name);
-      const importPath = path.posix
-        .join(basePath, entry.name)
-        .replace(/\.(ts|tsx)$/, "");
-      if (entry.isDirectory()) {
-        traverseDirectories(entryPath, importPath);
-      } else if (
-        entry.isFile() &&
-        !isCapitalized(entry.name) &&
-        (entry.name.endsWith(".ts") || entry.name.endsWith(".tsx"))
-      ) {
-        const fileContent = fs.readFileSync(entryPath, "utf-8");
-        const exportedMethods = getExportedMethods(fileContent);
-        if (exportedMethods.length > 0) {
-          const safeName = importPath
-            .replace(/[@/\\]/g, "_")
-            .replace(/^_+/, "")
-            .replace(/-/g, "_")
-            .replace(/\[\[\.\.\.(.+?)\]\]/g, "$1") // Remove [[...param]]
-            .replace(/\[\.\.\.(.+?)\]/g, "$1") // Remove [...param]
-            .replace(/\[\[(.+?)\]\]/g, "$1") // Remove [[param]]
-            .replace(/\[(.+?)\]/g, "$1");
-          const importPathString = isDeno
-            ? path.posix.join(basePath, entry.name)
-            : importPath.replace(/index$/, "");
-          const relativePath = path.posix
-            .relative(path.dirname(out), path.join(dir, importPathString))
-            .replace(/\\/g, "/");
-          imports.push(`import * as ${safeName} from './${relativePath}';`);
-          exportedMethods.forEach(({ method, isFactory }) => {
-            const routePath = importPath
-              .replace(/index$/, "")
-              .replace(/\[\[\.\.\.(.+?)\]\]/g, ":$1{.*}") // [[...param]] -> :param{.*} (alternate spread syntax)
-              .replace(/\[\.\.\.(.+?)\]/g, ":$1{.*}") // [...param] -> :param{.*} (zero or more segments)
-              .replace(/\[\[(.+?)\]\]/g, ":$1{.+}") // [[param]] -> :param{.+} (one or more segments)
-              .replace(/\[(.+?)\]/g, ":$1") // [param] -> :param (single segment)
-              .replace(/\/$/, "");
-            const methodName = method.replace("onRequest", "").toLowerCase();
-            console.log(
-              colors.blue,
-              `${methodName.toUpperCase()} /${routePath}${
-                isFactory ? " (factory)" : ""
-              }`,
-              colors.reset
-            );
-            routes.push({
-              method: methodName,
-              path: `/${routePath}`,
-              handler: `${safeName}.${method}`,
-              isFactory,
-            });
-          });
-        }
+/**
+ * Format routes as a table, one row per route in registration order
+ * @param {Route[]} routes
+ * @returns {string}
+ */
+const formatRouteTable = (routes) => {
+  const rows = [
+    ["#", "METHOD", "PATH", "FILE", "FACTORY"],
+    ...routes.map((route, index) => [
+      String(index + 1),
+      listedMethod(route),
+      route.path,
+      path.join(route.root, route.file),
+      route.isFactory ? "yes" : "",
+    ]),
+  ];
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+};
+
+/**
+ * Format routes as a tree of path segments, with each route under its path
+ * @param {Route[]} routes
+ * @returns {string}
+ */
+const formatRouteTree = (routes) => {
+  /** @typedef {{children: Map<string, RouteNode>, routes: Array<{route: Route, index: number}>}} RouteNode */
+  /** @type {RouteNode} */
+  const tree = { children: new Map(), routes: [] };
+  routes.forEach((route, index) => {
+    let node = tree;
+    for (const segment of route.path.split("/").filter(Boolean)) {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, { children: new Map(), routes: [] });
       }
+      node = node.children.get(segment);
     }
+    node.routes.push({ route, index });
+  });
+
+  const methodWidth = Math.max(
+    0,
+    ...routes.map((route) => listedMethod(route).length)
+  );
+  // Static segments first, then params, then wildcards, as they are matched
+  const rank = (segment) =>
+    segment.startsWith(":") ? 1 : segment === "*" ? 2 : 0;
+  /** @type {string[]} */
+  const lines = [];
+  /**
+   * @param {RouteNode} node
+   * @param {string} segment
+   * @param {string} indent
+   */
+  const printNode = (node, segment, indent) => {
+    lines.push(`${indent}${segment}`);
+    for (const { route, index } of node.routes) {
+      lines.push(
+        `${indent}  ${listedMethod(route).padEnd(methodWidth)}  ${path.join(
+          route.root,
+          route.file
+        )}${route.isFactory ? " (factory)" : ""}  #${index + 1}`
+      );
+    }
+    [...node.children]
+      .sort(([a], [b]) => rank(a) - rank(b) || (a > b ? 1 : a < b ? -1 : 0))
+      .forEach(([childSegment, child]) =>
+        printNode(child, childSegment, `${indent}  `)
+      );
   };
+  printNode(tree, "/", "");
+  return lines.join("\n");
+};
 
-  traverseDirectories(dir);
+/**
+ * Find the route that would handle a request, the same way Hono would: the
+ * first handler registered for its method and path. Middleware that would
+ * run first is included
+ * @param {Route[]} routes routes in registration order
+ * @param {string} method
+ * @param {string} url the request's path, or full URL
+ * @returns {{route: Route, params: Record<string, string>, middleware: string[]} | undefined}
+ */
+const matchRoute = (routes, method, url) => {
+  const { pathname } = new URL(url, "http://localhost");
+  const requestMethod = method.toUpperCase();
+  const route = routes.find(
+    (candidate) =>
+      !candidate.isMiddleware &&
+      (candidate.method === requestMethod ||
+        candidate.method === "ALL" ||
+        (candidate.method === "GET" && requestMethod === "HEAD")) &&
+      compilePattern(candidate.path).test(pathname)
+  );
+  if (!route) return undefined;
+  const values = pathname.match(compilePattern(route.path)).slice(1);
+  return {
+    route,
+    params: Object.fromEntries(
+      // An optional param that is left out isn't set
+      route.params.flatMap(({ name, optional }, index) =>
+        optional && values[index] === undefined
+          ? []
+          : [[name, decodeURIComponent(values[index] ?? "")]]
+      )
+    ),
+    middleware: [
+      ...routes
+        .filter(
+          (candidate) =>
+            candidate.isMiddleware && compilePattern(candidate.path).test(pathname)
+        )
+        .map((candidate) => path.join(candidate.root, candidate.file)),
+      ...route.middleware.map(({ file }) => path.join(route.root, file)),
+    ],
+  };
+};
 
+/**
+ * Render a unified diff between two versions of a file, with three lines of
+ * context around each change
+ * @param {string} before
+ * @param {string} after
+ * @param {string} fromFile name of the file before
+ * @param {string} toFile name of the file after
+ * @returns {string} the diff, empty when the versions are the same
+ */
+const unifiedDiff = (before, after, fromFile, toFile) => {
+  const context = 3;
   /**
-   * Custom sort function to prioritize:
-   * 1. Path depth (longer paths first)
-   * 2. Static paths over dynamic paths over greedy paths
-   * @param {string} a
-   * @param {string} b
-   * @returns {number}
+   * Split a file into lines, without an empty line after the final newline
+   * @param {string} text
    */
-  const sortPaths = (a, b) => {
-    const aParts = a.split("/").filter((p) => p !== "");
-    const bParts = b.split("/").filter((p) => p !== "");
+  const toLines = (text) => (text ? text.replace(/\n$/, "").split("\n") : []);
+  const a = toLines(before);
+  const b = toLines(after);
 
-    // First, sort by path depth (longer paths first)
-    if (aParts.length !== bParts.length) {
-      return bParts.length - aParts.length; // Descending order (longer first)
+  // Only the lines between the common prefix and suffix need comparing,
+  // which keeps the table small for the usual handful of changed routes
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const n = endA - start;
+  const m = endB - start;
+  // Length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[start + i] === b[start + j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
     }
+  }
 
-    // If same depth, compare segment by segment
-    for (let i = 0; i < aParts.length; i++) {
-      const aPart = aParts[i] || "";
-      const bPart = bParts[i] || "";
-      if (aPart === bPart) continue;
+  /** @type {Array<{type: " " | "-" | "+", text: string}>} */
+  const lines = a.slice(0, start).map((text) => ({ type: " ", text }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      lines.push({ type: " ", text: a[start + i] });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ type: "-", text: a[start + i] });
+      i++;
+    } else {
+      lines.push({ type: "+", text: b[start + j] });
+      j++;
+    }
+  }
+  lines.push(...a.slice(endA).map((text) => ({ type: " ", text })));
 
-      // Check if parts are parameters
-      const aIsParam = aPart.startsWith(":");
-      const bIsParam = bPart.startsWith(":");
+  // Number the lines, then group the changes that are close together
+  let lineA = 1;
+  let lineB = 1;
+  const numbered = lines.map((line) => {
+    const numberedLine = { ...line, a: lineA, b: lineB };
+    if (line.type !== "+") lineA++;
+    if (line.type !== "-") lineB++;
+    return numberedLine;
+  });
+  /** @type {Array<[number, number]>} */
+  const hunks = [];
+  numbered.forEach(({ type }, index) => {
+    if (type === " ") return;
+    const hunkStart = Math.max(0, index - context);
+    const hunkEnd = Math.min(numbered.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && hunkStart <= last[1]) {
+      last[1] = hunkEnd;
+    } else {
+      hunks.push([hunkStart, hunkEnd]);
+    }
+  });
+  if (hunks.length === 0) return "";
 
-      // Check if parts are greedy parameters (contain {.+} or {.*})
-      const aIsGreedy =
-        aIsParam && (aPart.includes("{.+}") || aPart.includes("{.*}"));
-      const bIsGreedy =
-        bIsParam && (bPart.includes("{.+}") || bPart.includes("{.*}"));
+  return [
+    `--- ${fromFile}`,
+    `+++ ${toFile}`,
+    ...hunks.flatMap(([hunkStart, hunkEnd]) => {
+      const hunk = numbered.slice(hunkStart, hunkEnd);
+      const countA = hunk.filter(({ type }) => type !== "+").length;
+      const countB = hunk.filter(({ type }) => type !== "-").length;
+      // An empty range starts at the line before it
+      const startA = countA > 0 ? hunk[0].a : hunk[0].a - 1;
+      const startB = countB > 0 ? hunk[0].b : hunk[0].b - 1;
+      return [
+        `@@ -${startA},${countA} +${startB},${countB} @@`,
+        ...hunk.map(({ type, text }) => type + text),
+      ];
+    }),
+  ]
+    .join("\n")
+    .concat("\n");
+};
 
-      // Static routes come first
-      if (!aIsParam && bIsParam) return -1;
-      if (aIsParam && !bIsParam) return 1;
+/**
+ * Take a snapshot of the modification times of the files below a directory
+ * @param {string} dir
+ * @param {Map<string, number>} [snapshot]
+ * @returns {Map<string, number>}
+ */
+const snapshotDirectory = (dir, snapshot = new Map()) => {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return snapshot; // Deleted while being read
+  }
+  for (const entry of entries) {
+    const entryPath = path.resolve(dir, entry.name);
+    if (entry.isDirectory()) {
+      snapshotDirectory(entryPath, snapshot);
+    } else {
+      const mtime = modifiedTime(entryPath);
+      if (mtime !== undefined) snapshot.set(entryPath, mtime);
+    }
+  }
+  return snapshot;
+};
 
-      // Among parameters, non-greedy come before greedy
-      if (aIsParam && bIsParam) {
-        if (!aIsGreedy && bIsGreedy) return -1;
-        if (aIsGreedy && !bIsGreedy) return 1;
+/**
+ * @typedef {Object} WatchOptions
+ * @property {string[]} [ignore] absolute paths of files whose changes are
+ * ignored, such as the generated router
+ * @property {boolean} [poll=false] poll for changes instead of using `fs.watch`
+ * @property {number} [interval=500] milliseconds between polls
+ * @property {number} [delay=100] milliseconds to wait for a burst of changes
+ * to settle
+ */
+
+/**
+ * Watch directories and call `onChange` once a burst of changes has settled.
+ * Calls never overlap; changes made during a call are handled by the next
+ * one. A directory is polled when recursive `fs.watch` isn't supported, as on
+ * Linux before Node 20, or stops working
+ * @param {string[]} dirs
+ * @param {(files: string[]) => unknown} onChange called with the changed files
+ * @param {WatchOptions} [options]
+ * @returns {() => void} stops watching
+ */
+const watchDirectories = (dirs, onChange, options = {}) => {
+  const { ignore = [], poll = false, interval = 500, delay = 100 } = options;
+  /** @type {Set<string>} */
+  const changed = new Set();
+  /** @type {NodeJS.Timeout | undefined} */
+  let timer;
+  let running = false;
+  /** @type {Array<() => void>} */
+  const stops = [];
+
+  const flush = async () => {
+    if (running) return;
+    running = true;
+    const files = [...changed];
+    changed.clear();
+    try {
+      await onChange(files);
+    } catch (error) {
+      // A failed run mustn't stop the watcher; the next change retries
+      console.error(colors.red, `Error: ${error.message}`, colors.reset);
+    }
+    running = false;
+    if (changed.size > 0) {
+      clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    }
+  };
+
+  /**
+   * Note a changed file and wait for the burst of changes to settle
+   * @param {string} file
+   */
+  const record = (file) => {
+    if (ignore.includes(file)) return;
+    changed.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  };
+
+  /**
+   * Compare snapshots of a directory at each interval
+   * @param {string} dir
+   */
+  const pollDirectory = (dir) => {
+    let snapshot = snapshotDirectory(dir);
+    const poller = setInterval(() => {
+      const next = snapshotDirectory(dir);
+      for (const [file, mtime] of next) {
+        if (snapshot.get(file) !== mtime) record(file);
       }
+      for (const file of snapshot.keys()) {
+        if (!next.has(file)) record(file);
+      }
+      snapshot = next;
+    }, interval);
+    stops.push(() => clearInterval(poller));
+  };
 
-      // Alphabetical comparison for same type
-      if (aPart > bPart) return 1;
-      if (aPart < bPart) return -1;
+  for (const dir of dirs) {
+    if (poll) {
+      pollDirectory(dir);
+      continue;
     }
-    return 0;
+    try {
+      const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) =>
+        record(path.resolve(dir, filename ? filename.toString() : ""))
+      );
+      watcher.on("error", (error) => {
+        console.error(
+          colors.red,
+          `Watching ${dir} failed (${error.message}), polling for changes instead`,
+          colors.reset
+        );
+        watcher.close();
+        pollDirectory(dir);
+      });
+      stops.push(() => watcher.close());
+    } catch (error) {
+      console.log(
+        colors.yellow,
+        `Can't watch ${dir} (${error.message}), polling for changes instead`,
+        colors.reset
+      );
+      pollDirectory(dir);
+    }
+  }
+
+  return () => {
+    clearTimeout(timer);
+    stops.forEach((stop) => stop());
   };
+};
 
-  // sort imports by path
-  imports.sort((a, b) => sortPaths(a.match(/'(.*)'/)[1], b.match(/'(.*)'/)[1]));
-  // sort routes by path
-  routes.sort((a, b) => sortPaths(a.path, b.path));
+/**
+ * Run the command line interface
+ * @param {string[]} args command line arguments, without the node and script paths
+ */
+const main = async (args) => {
+  // `list` and `match` inspect the routes instead of generating a router,
+  // `test` checks that requests reach them and `export` renders them to
+  // static files
+  const command = ["list", "match", "test", "export"].includes(args[0])
+    ? args.shift()
+    : undefined;
+  const formats = command === "list" ? ["table", "json", "tree"] : ["text", "json"];
+  const [format = formats[0]] = takeOption(args, "format");
+  const [exportDir = "dist"] = takeOption(args, "out-dir");
+  if (command && !formats.includes(format)) {
+    console.error(
+      colors.red,
+      `Invalid format: ${format} (expected ${formats.join(", ")})`,
+      colors.reset
+    );
+    process.exit(1);
+  }
 
-  const routesOutput = routes.map((route) =>
-    route.isFactory
-      ? `app.${route.method}('${route.path}', ...${route.handler});`
-      : `app.${route.method}('${route.path}', ${route.handler});`
+  // Check for watch flag
+  const watchFlagIndex = args.findIndex(
+    (arg) => arg === "--watch" || arg === "-w"
   );
+  const isWatchMode = watchFlagIndex !== -1;
+  if (isWatchMode) {
+    args.splice(watchFlagIndex, 1); // Remove the watch flag from the arguments
+  }
 
-  const outputContent = `
-import { Hono, Env } from 'hono';
+  // Collect custom HTTP methods (--method PROPFIND or --method=PROPFIND,REPORT)
+  const customMethods = [];
+  for (const value of takeOption(args, "method")) {
+    for (const method of value.split(",")) {
+      if (!/^[A-Za-z]+(-[A-Za-z]+)*$/.test(method)) {
+        console.error(colors.red, `Invalid HTTP method: ${method}`, colors.reset);
+        process.exit(1);
+      }
+      customMethods.push(method.toUpperCase());
+    }
+  }
 
-${imports.join("\n")}
+  const [prefix] = takeOption(args, "prefix");
+  const [configPath] = takeOption(args, "config");
+  const [runtime] = takeOption(args, "runtime");
+  if (runtime !== undefined && !runtimes.includes(runtime)) {
+    console.error(
+      colors.red,
+      `Invalid runtime: ${runtime} (expected ${runtimes.join(", ")})`,
+      colors.reset
+    );
+    process.exit(1);
+  }
+  const [extensions] = takeOption(args, "extensions");
+  const include = takeOption(args, "include");
+  const exclude = takeOption(args, "exclude");
 
-export const loadRoutes = <T extends Env>(app: Hono<T>) => {
-\t${routesOutput.join("\n\t")}
-};`;
+  // Check for no-gitignore flag
+  const noGitignoreFlagIndex = args.indexOf("--no-gitignore");
+  const isGitignoreDisabled = noGitignoreFlagIndex !== -1;
+  if (isGitignoreDisabled) {
+    args.splice(noGitignoreFlagIndex, 1); // Remove the --no-gitignore flag from the arguments
+  }
 
-  fs.writeFileSync(out, outputContent);
-  console.log(colors.magenta, `Routes generated in ${out}`, colors.reset);
-};
+  // Check for deno flag
+  const denoFlagIndex = args.indexOf("--deno");
+  const isDeno = denoFlagIndex !== -1;
+  if (isDeno) {
+    args.splice(denoFlagIndex, 1); // Remove the --deno flag from the arguments
+  }
 
-const args = process.argv.slice(2);
+  // Check for openapi flag, optionally with the document's path
+  const openapiFlagIndex = args.findIndex((arg) => /^--openapi(=|$)/.test(arg));
+  const openapi =
+    openapiFlagIndex !== -1 &&
+    (args[openapiFlagIndex].slice("--openapi=".length) || true);
+  if (openapiFlagIndex !== -1) {
+    args.splice(openapiFlagIndex, 1); // Remove the --openapi flag from the arguments
+  }
 
-// Check for watch flag
-const watchFlagIndex = args.findIndex(
-  (arg) => arg === "--watch" || arg === "-w"
-);
-const isWatchMode = watchFlagIndex !== -1;
-if (isWatchMode) {
-  args.splice(watchFlagIndex, 1); // Remove the watch flag from the arguments
-}
+  // Check for poll flag
+  const pollFlagIndex = args.indexOf("--poll");
+  const isPolling = pollFlagIndex !== -1;
+  if (isPolling) {
+    args.splice(pollFlagIndex, 1); // Remove the --poll flag from the arguments
+  }
 
-// Check for deno flag
-const denoFlagIndex = args.indexOf("--deno");
-const isDeno = denoFlagIndex !== -1;
-if (isDeno) {
-  args.splice(denoFlagIndex, 1); // Remove the --deno flag from the arguments
-}
+  // Check for check flag, which compares instead of writing
+  const checkFlagIndex = args.indexOf("--check");
+  const isCheck = checkFlagIndex !== -1;
+  if (isCheck) {
+    args.splice(checkFlagIndex, 1); // Remove the --check flag from the arguments
+  }
 
-const [routesDir, outputFile] = args;
-if (!routesDir || !outputFile) {
-  console.error(
-    colors.red,
-    "Usage: npx hono-router <routesDir> <outputFile> [--watch | -w] [--deno]",
-    colors.reset
+  // Check for dry run flag, which prints instead of writing
+  const dryRunFlagIndex = args.findIndex(
+    (arg) => arg === "--dry-run" || arg === "--stdout"
   );
-  process.exit(1);
-}
+  const isDryRun = dryRunFlagIndex !== -1;
+  if (isDryRun) {
+    args.splice(dryRunFlagIndex, 1); // Remove the dry run flag from the arguments
+  }
+
+  // Check for lazy flag
+  const lazyFlagIndex = args.indexOf("--lazy");
+  const isLazy = lazyFlagIndex !== -1;
+  if (isLazy) {
+    args.splice(lazyFlagIndex, 1); // Remove the --lazy flag from the arguments
+  }
+
+  // Check for sub-apps flag
+  const subAppsFlagIndex = args.indexOf("--sub-apps");
+  const isSubApps = subAppsFlagIndex !== -1;
+  if (isSubApps) {
+    args.splice(subAppsFlagIndex, 1); // Remove the --sub-apps flag from the arguments
+  }
 
-// Initial generation
-generateRoutes(routesDir, outputFile, isDeno);
+  // Check for rpc flag
+  const rpcFlagIndex = args.indexOf("--rpc");
+  const isRpc = rpcFlagIndex !== -1;
+  if (isRpc) {
+    args.splice(rpcFlagIndex, 1); // Remove the --rpc flag from the arguments
+  }
 
-// Watch mode only if flag is provided
-if (isWatchMode) {
-  console.log(colors.cyan, "Watching for changes...", colors.reset);
-  fs.watch(routesDir, { recursive: true }, (eventType, filename) => {
-    console.log(
-      colors.green,
-      `Detected ${eventType} in ${filename}, regenerating router.ts...`,
+  /** @type {{config: Config, dir: string} | undefined} */
+  let loaded;
+  try {
+    loaded = await loadConfig(configPath);
+  } catch (error) {
+    console.error(colors.red, error.message, colors.reset);
+    process.exit(1);
+  }
+  const config = loaded?.config ?? {};
+
+  // `match` ends with the request to match
+  const [requestMethod, requestUrl] =
+    command === "match" && args.length >= 2 ? args.splice(-2) : [];
+  const isMissingRequest = command === "match" && !requestUrl;
+  const [routesDir] = args;
+  // Nothing is written when inspecting routes, but imports are still
+  // resolved relative to a router next to the routes directory
+  const outputFile = command
+    ? routesDir && path.join(path.dirname(routesDir), "router.ts")
+    : args[1];
+  /** @type {GenerateOptions[]} */
+  let optionsList;
+  if (routesDir && outputFile && !isMissingRequest) {
+    // Command line paths take precedence over the config's routes
+    optionsList = [
+      {
+        routesDir,
+        outFile: outputFile,
+        prefix: prefix ?? config.prefix,
+        runtime: config.runtime,
+        deno: config.deno,
+        lazy: config.lazy,
+        subApps: config.subApps,
+        rpc: config.rpc,
+        openapi: config.openapi,
+        methods: config.methods,
+        extensions: config.extensions,
+        matchers: config.matchers,
+        ignore: config.ignore,
+        exclude: config.exclude,
+        include: config.include,
+        gitignore: config.gitignore,
+      },
+    ];
+  } else if (loaded && !routesDir && !isMissingRequest) {
+    try {
+      optionsList = resolveConfig(
+        prefix === undefined ? config : { ...config, prefix },
+        loaded.dir
+      );
+    } catch (error) {
+      console.error(colors.red, error.message, colors.reset);
+      process.exit(1);
+    }
+  } else {
+    console.error(
+      colors.red,
+      [
+        "Usage: npx hono-router <routesDir> <outputFile> [--watch | -w] [--poll] [--check] [--dry-run | --stdout] [--deno] [--lazy] [--sub-apps] [--rpc] [--openapi[=<file>]] [--runtime <bundler|node|deno>] [--extensions <.ts,.js>] [--include <glob>] [--exclude <glob>] [--no-gitignore] [--method <METHOD>] [--prefix <path>] [--config <file>]",
+        "       npx hono-router list [routesDir] [--format table|json|tree]",
+        "       npx hono-router match [routesDir] <METHOD> <url> [--format text|json]",
+        "       npx hono-router test [routesDir]",
+        "       npx hono-router export [routesDir] [--out-dir <dir>]",
+      ].join("\n"),
       colors.reset
     );
-    generateRoutes(routesDir, outputFile, isDeno);
+    process.exit(1);
+  }
+  optionsList = optionsList.map((options) => ({
+    ...options,
+    runtime: runtime ?? (isDeno ? "deno" : options.runtime),
+    deno: isDeno || options.deno,
+    lazy: isLazy || options.lazy,
+    subApps: isSubApps || options.subApps,
+    rpc: isRpc || options.rpc,
+    openapi: openapi || options.openapi,
+    extensions: extensions?.split(",") ?? options.extensions,
+    methods: [...(options.methods ?? []), ...customMethods],
+    include: [...(options.include ?? []), ...include],
+    exclude: [...(options.exclude ?? []), ...exclude],
+    gitignore: !isGitignoreDisabled && options.gitignore,
+    // Parse results are kept for regenerating in watch mode
+    cache: new Map(),
+  }));
+
+  if (command === "test") {
+    let ok = true;
+    for (const options of optionsList) {
+      if (optionsList.length > 1) {
+        console.log(colors.cyan, `# ${options.outFile}`, colors.reset);
+      }
+      try {
+        const { results, errors } = await testRoutes(options);
+        for (const { route, method, url, status, reason } of results) {
+          const file = path.join(route.root, route.file);
+          if (status === "pass") {
+            console.log(colors.green, `${method} ${url} -> ${file}`, colors.reset);
+          } else if (status === "skip") {
+            console.log(
+              colors.yellow,
+              `Skipped ${method} ${url ?? route.path} (${reason})`,
+              colors.reset
+            );
+          }
+        }
+        for (const error of errors) {
+          console.error(colors.red, `Error: ${error}`, colors.reset);
+        }
+        if (errors.length > 0) ok = false;
+        const passed = results.filter(({ status }) => status === "pass").length;
+        console.log(
+          errors.length > 0 ? colors.red : colors.magenta,
+          `${passed} of ${results.length} requests reached their files`,
+          colors.reset
+        );
+      } catch (error) {
+        console.error(colors.red, `Failed to test the routes: ${error.message}`, colors.reset);
+        ok = false;
+      }
+    }
+    process.exitCode = ok ? 0 : 1;
+    return;
+  }
+
+  if (command === "export") {
+    let ok = true;
+    for (const options of optionsList) {
+      try {
+        const result = await exportStatic({ ...options, outDir: exportDir });
+        for (const error of result.errors) {
+          console.error(colors.red, `Error: ${error}`, colors.reset);
+        }
+        if (result.errors.length > 0) ok = false;
+        console.log(
+          colors.magenta,
+          `Exported ${result.pages.length} pages to ${exportDir}`,
+          colors.reset
+        );
+      } catch (error) {
+        console.error(colors.red, `Failed to export: ${error.message}`, colors.reset);
+        ok = false;
+      }
+    }
+    process.exitCode = ok ? 0 : 1;
+    return;
+  }
+
+  if (command) {
+    const routers = optionsList.map((options) => ({
+      out: options.outFile,
+      routes: generateRoutes({ ...options, write: false, silent: true }).routes,
+    }));
+    if (command === "list") {
+      if (format === "json") {
+        const describe = ({ routes }) => routes.map(describeRoute);
+        console.log(
+          JSON.stringify(
+            routers.length === 1
+              ? describe(routers[0])
+              : Object.fromEntries(
+                  routers.map((router) => [router.out, describe(router)])
+                ),
+            null,
+            2
+          )
+        );
+        return;
+      }
+      for (const { out, routes } of routers) {
+        if (routers.length > 1) console.log(colors.cyan, `# ${out}`, colors.reset);
+        console.log(
+          format === "tree" ? formatRouteTree(routes) : formatRouteTable(routes)
+        );
+      }
+      return;
+    }
+    const matches = routers.flatMap(({ out, routes }) => {
+      const match = matchRoute(routes, requestMethod, requestUrl);
+      return match ? [{ out, ...match }] : [];
+    });
+    if (format === "json") {
+      console.log(
+        JSON.stringify(
+          matches.map(({ out, route, params, middleware }) => ({
+            ...(routers.length > 1 && { router: out }),
+            method: route.method,
+            path: route.path,
+            file: path.join(route.root, route.file),
+            params,
+            middleware,
+          })),
+          null,
+          2
+        )
+      );
+    }
+    if (matches.length === 0) {
+      console.error(
+        colors.red,
+        `No route matches ${requestMethod.toUpperCase()} ${requestUrl}`,
+        colors.reset
+      );
+      process.exitCode = 1;
+      return;
+    }
+    if (format === "json") return;
+    for (const { out, route, params, middleware } of matches) {
+      console.log(
+        colors.blue,
+        `${route.method} ${route.path} -> ${path.join(route.root, route.file)}${
+          routers.length > 1 ? ` (${out})` : ""
+        }`,
+        colors.reset
+      );
+      for (const [name, value] of Object.entries(params)) {
+        console.log(`  ${name} = ${value}`);
+      }
+      if (middleware.length > 0) {
+        console.log(`  middleware: ${middleware.join(", ")}`);
+      }
+    }
+    return;
+  }
+
+  if (isCheck || isDryRun) {
+    let ok = true;
+    for (const options of optionsList) {
+      const { source, conflicts } = generateRoutes({
+        ...options,
+        write: false,
+        silent: true,
+      });
+      if (conflicts.length > 0) {
+        for (const conflict of conflicts) {
+          console.error(colors.red, `Error: ${conflict}`, colors.reset);
+        }
+        ok = false;
+        continue;
+      }
+      if (isDryRun) {
+        if (optionsList.length > 1) console.log(`// ${options.outFile}`);
+        process.stdout.write(source);
+        continue;
+      }
+      const generated = [{ out: options.outFile, source }];
+      if (options.openapi) {
+        try {
+          generated.push(await generateOpenAPI({ ...options, write: false }));
+        } catch (error) {
+          console.error(
+            colors.red,
+            `Failed to generate the OpenAPI document: ${error.message}`,
+            colors.reset
+          );
+          ok = false;
+        }
+      }
+      for (const { out, source } of generated) {
+        const current = fs.existsSync(out)
+          ? fs.readFileSync(out, "utf-8")
+          : undefined;
+        if (current === source) {
+          console.log(colors.green, `${out} is up to date`, colors.reset);
+          continue;
+        }
+        ok = false;
+        console.error(
+          colors.red,
+          `${out} is ${current === undefined ? "missing" : "out of date"}, run hono-router to regenerate it`,
+          colors.reset
+        );
+        const file = path.relative(process.cwd(), out).replace(/\\/g, "/");
+        process.stdout.write(
+          unifiedDiff(current ?? "", source, `a/${file}`, `b/${file}`)
+        );
+      }
+    }
+    process.exitCode = ok ? 0 : 1;
+    return;
+  }
+
+  /**
+   * Generate every router, and the OpenAPI documents asked for
+   * @returns {Promise<boolean>} whether everything was generated
+   */
+  const generate = async () => {
+    let ok = true;
+    for (const options of optionsList) {
+      if (generateRoutes(options).conflicts.length > 0) {
+        ok = false;
+      } else if (options.openapi) {
+        try {
+          await generateOpenAPI(options);
+        } catch (error) {
+          console.error(
+            colors.red,
+            `Failed to generate the OpenAPI document: ${error.message}`,
+            colors.reset
+          );
+          ok = false;
+        }
+      }
+    }
+    return ok;
+  };
+
+  // Initial generation; failures are fatal unless watching for a fix
+  if (!(await generate()) && !isWatchMode) {
+    process.exit(1);
+  }
+
+  // Watch mode only if flag is provided
+  if (isWatchMode) {
+    console.log(colors.cyan, "Watching for changes...", colors.reset);
+    const watchedDirs = new Set(
+      optionsList
+        .flatMap((options) =>
+          options.roots ? options.roots.map(({ dir }) => dir) : [options.routesDir]
+        )
+        .map((dir) => path.resolve(dir))
+    );
+    // The generated files may live in a watched directory
+    const generatedFiles = optionsList.flatMap((options) => [
+      path.resolve(options.outFile),
+      ...(options.openapi ? [path.resolve(openAPIOutFile(options))] : []),
+    ]);
+    watchDirectories(
+      [...watchedDirs],
+      (files) => {
+        console.log(
+          colors.green,
+          `Detected changes in ${files
+            .map((file) => path.relative(process.cwd(), file))
+            .join(", ")}, regenerating...`,
+          colors.reset
+        );
+        return generate();
+      },
+      { ignore: generatedFiles, poll: isPolling }
+    );
+  }
+};
+
+module.exports = {
+  generateRoutes,
+  generateOpenAPI,
+  exportStatic,
+  testRoutes,
+  getExportedMethods,
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    // Failures main doesn't handle itself, e.g. a missing routes directory
+    console.error(colors.red, `Error: ${error.message}`, colors.reset);
+    process.exitCode = 1;
   });
 }
@@ -3,6 +3,7 @@ const assert = require('node:assert');
 const fs = require('node:fs');
 const path = require('node:path');
 const { spawn } = require('node:child_process');
+const parser = require('@babel/parser');
 
 // Helper to create temporary test directories
 const createTempDir = () => {
@@ -19,9 +20,9 @@ const cleanupDir = (dir) => {
 };
 
 // Helper to run the CLI
-const runCLI = (args) => {
+const runCLI = (args, options = {}) => {
 	return new Promise((resolve, reject) => {
-		const child = spawn('node', [path.join(__dirname, 'index.js'), ...args]);
+		const child = spawn('node', [path.join(__dirname, 'index.js'), ...args], options);
 		let stdout = '';
 		let stderr = '';
 		
@@ -44,6 +45,26 @@ const runCLI = (args) => {
 	});
 };
 
+// Helper to type-check TypeScript files, returning the errors
+const typeCheck = (files) => {
+	const ts = require('typescript');
+	const program = ts.createProgram(files, {
+		target: ts.ScriptTarget.ESNext,
+		module: ts.ModuleKind.ESNext,
+		moduleResolution: ts.ModuleResolutionKind.Bundler,
+		lib: ['lib.esnext.d.ts', 'lib.dom.d.ts'],
+		types: [],
+		jsx: ts.JsxEmit.ReactJSX,
+		jsxImportSource: 'hono/jsx',
+		strict: true,
+		skipLibCheck: true,
+		noEmit: true,
+	});
+	return ts.getPreEmitDiagnostics(program).map((diagnostic) =>
+		`${path.basename(diagnostic.file?.fileName ?? '')}: ${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`
+	);
+};
+
 describe('hono-router tests', () => {
 	let tempDir;
 	let routesDir;
@@ -98,6 +119,62 @@ export const onRequestPatch = (c) => c.json({ method: 'PATCH' });`;
 			assert.match(generatedContent, /app\.patch\('\/api', api\.onRequestPatch\)/);
 		});
 		
+		it('should map onRequest to app.all after method-specific handlers', async () => {
+			const routeContent = `
+export const onRequest = (c) => c.json({ method: 'ALL' });
+export const onRequestGet = (c) => c.json({ method: 'GET' });`;
+			fs.writeFileSync(path.join(routesDir, 'api.ts'), routeContent);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			assert.match(result.stdout, /ALL \/api/);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.all\('\/api', api\.onRequest\)/);
+			assert(
+				generatedContent.indexOf('app.get(') < generatedContent.indexOf('app.all('),
+				'Catch-all handler should come after method-specific handlers'
+			);
+		});
+		
+		it('should register HEAD handlers ahead of GET handlers', async () => {
+			const routeContent = `
+export const onRequestGet = (c) => c.json({ method: 'GET' });
+export const onRequestHead = (c) => c.body(null);`;
+			fs.writeFileSync(path.join(routesDir, 'api.ts'), routeContent);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /const onlyHead = /);
+			// The router type-checks without the DOM's global Response type
+			assert.doesNotMatch(generatedContent, /instanceof Response/);
+			assert.match(generatedContent, /app\.get\('\/api', onlyHead\(api\.onRequestHead\)\)/);
+			assert(
+				generatedContent.indexOf('onlyHead(api') < generatedContent.indexOf('api.onRequestGet'),
+				'HEAD handler should come before GET handler'
+			);
+		});
+		
+		it('should register custom methods declared with --method', async () => {
+			const routeContent = `
+export const onRequestPropfind = (c) => c.body(null, 207);
+export const onRequestVersionControl = (c) => c.body(null);
+export const onRequestReport = (c) => c.body(null);`;
+			fs.writeFileSync(path.join(routesDir, 'dav.ts'), routeContent);
+			
+			const result = await runCLI([routesDir, outputFile, '--method', 'PROPFIND', '--method=version-control']);
+			assert.strictEqual(result.code, 0);
+			assert.match(result.stdout, /PROPFIND \/dav/);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.on\('PROPFIND', '\/dav', dav\.onRequestPropfind\)/);
+			assert.match(generatedContent, /app\.on\('VERSION-CONTROL', '\/dav', dav\.onRequestVersionControl\)/);
+			// REPORT was not declared
+			assert.doesNotMatch(generatedContent, /REPORT/);
+		});
+		
 		it('should handle dynamic routes', async () => {
 			const usersDir = path.join(routesDir, 'users');
 			fs.mkdirSync(usersDir);
@@ -195,207 +272,2159 @@ export const onRequestGet = createHandlers();`;
 		});
 	});
 	
-	describe('CLI flags', () => {
-		it('should run in single-shot mode by default', async () => {
-			fs.writeFileSync(path.join(routesDir, 'test.ts'), 
-				`export const onRequestGet = (c) => c.json({ ok: true });`);
+	describe('Export detection', () => {
+		it('should ignore commented-out exports and exports inside strings', async () => {
+			const routeContent = `
+export const onRequestGet = (c) => c.json({ ok: true });
+// export const onRequestPost = (c) => c.json({ ok: true });
+/* export function onRequestPut(c) {} */
+const template = \`export const onRequestDelete = createHandlers()\`;`;
+			fs.writeFileSync(path.join(routesDir, 'api.ts'), routeContent);
 			
 			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
-			assert.doesNotMatch(result.stdout, /Watching for changes/);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/api', api\.onRequestGet\)/);
+			assert.doesNotMatch(generatedContent, /app\.(post|put|delete)/);
 		});
 		
-		it('should enter watch mode with --watch flag', async () => {
-			fs.writeFileSync(path.join(routesDir, 'test.ts'), 
-				`export const onRequestGet = (c) => c.json({ ok: true });`);
+		it('should detect aliased exports and async functions', async () => {
+			const routeContent = `
+const handler = (c: Context) => c.json({ ok: true });
+export { handler as onRequestGet };
+export async function onRequestPost(c: Context) {
+	return c.json({ ok: true });
+}
+export type onRequestPut = string;`;
+			fs.writeFileSync(path.join(routesDir, 'api.ts'), routeContent);
 			
-			const result = await runCLI([routesDir, outputFile, '--watch']);
-			assert.match(result.stdout, /Watching for changes/);
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/api', api\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.post\('\/api', api\.onRequestPost\)/);
+			assert.doesNotMatch(generatedContent, /app\.put/);
 		});
 		
-		it('should enter watch mode with -w flag', async () => {
-			fs.writeFileSync(path.join(routesDir, 'test.ts'), 
-				`export const onRequestGet = (c) => c.json({ ok: true });`);
+		it('should detect multi-line factory calls and factories behind aliases', async () => {
+			const routeContent = `
+import { createFactory } from 'hono/factory';
+const factory = createFactory();
+export const onRequestGet = factory.createHandlers(
+	async (c) => c.json({ ok: true })
+);
+const handlers = factory.createHandlers((c) => c.json({ ok: true }));
+export { handlers as onRequestPost };`;
+			fs.writeFileSync(path.join(routesDir, 'factory.ts'), routeContent);
 			
-			const result = await runCLI([routesDir, outputFile, '-w']);
-			assert.match(result.stdout, /Watching for changes/);
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/factory', \.\.\.factory\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.post\('\/factory', \.\.\.factory\.onRequestPost\)/);
 		});
 		
-		it('should handle --deno flag for Deno compatibility', async () => {
-			fs.writeFileSync(path.join(routesDir, 'index.ts'), 
-				`export const onRequestGet = (c) => c.json({ ok: true });`);
+		it('should follow re-exports from other modules', async () => {
+			fs.writeFileSync(path.join(tempDir, 'shared.ts'), `
+export const onRequestGet = (c) => c.json({ ok: true });
+export const onRequestPut = factory.createHandlers((c) => c.json({ ok: true }));`);
+			fs.writeFileSync(path.join(routesDir, 'reexport.ts'),
+				`export { onRequestGet, onRequestPut as onRequestPatch } from '../shared';`);
+			fs.writeFileSync(path.join(routesDir, 'star.ts'), `export * from '../shared';`);
 			
-			const result = await runCLI([routesDir, outputFile, '--deno']);
+			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			// With --deno flag, should include file extension in import path
-			assert.match(generatedContent, /from '\.\/routes\/index\.ts'/);
+			assert.match(generatedContent, /app\.get\('\/reexport', reexport\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.patch\('\/reexport', \.\.\.reexport\.onRequestPatch\)/);
+			assert.match(generatedContent, /app\.get\('\/star', star\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.put\('\/star', \.\.\.star\.onRequestPut\)/);
 		});
 		
-		it('should show usage when arguments are missing', async () => {
-			const result = await runCLI([]);
-			assert.notStrictEqual(result.code, 0);
-			assert.match(result.stderr, /Usage: npx hono-router/);
-		});
-	});
-	
-	describe('Edge cases', () => {
-		it('should handle empty routes directory', async () => {
+		it('should parse TSX route files', async () => {
+			const routeContent = `
+import { Context } from 'hono';
+export const onRequestGet = async (c: Context) => c.render(<div>Hello</div>);`;
+			fs.writeFileSync(path.join(routesDir, 'page.tsx'), routeContent);
+			
 			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			assert.match(generatedContent, /export const loadRoutes/);
-			// Should have empty route definitions
-			assert.match(generatedContent, /=> \{\s*\};/);
+			assert.match(generatedContent, /app\.get\('\/page', page\.onRequestGet\)/);
 		});
 		
-		it('should handle index.ts files correctly', async () => {
-			const apiDir = path.join(routesDir, 'api');
-			fs.mkdirSync(apiDir);
+		it('should fail instead of leaving out route files that don\'t parse', async () => {
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');`);
+			fs.writeFileSync(path.join(routesDir, 'b.ts'), `export const onRequestGet = (c) => {`);
 			
-			fs.writeFileSync(path.join(apiDir, 'index.ts'), 
-				`export const onRequestGet = (c) => c.json({ index: true });`);
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 1);
+			assert.match(result.stderr, /Failed to parse b\.ts/);
+			assert(!fs.existsSync(outputFile), 'Router should not be written');
+			
+			const check = await runCLI([routesDir, outputFile, '--check']);
+			assert.strictEqual(check.code, 1);
+			assert.match(check.stderr, /Failed to parse b\.ts/);
+		});
+		
+		it('should fail on syntax errors the parser recovers from', async () => {
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');
+export const onRequestPost = (c) => { await c.req.json(); return c.text('b'); };`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 1);
+			assert.match(result.stderr, /Failed to parse a\.ts: 'await' is only allowed .* \(2:38\)/);
+			assert(!fs.existsSync(outputFile), 'Router should not be written');
+			
+			fs.writeFileSync(path.join(routesDir, 'a.ts'), `export { onRequestGet } from './handlers';`);
+			fs.writeFileSync(path.join(routesDir, 'handlers.js'),
+				`export const onRequestGet = (c) => c.text('a');
+const x = 1;
+const x = 2;`);
+			const reexport = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(reexport.code, 1);
+			assert.match(reexport.stderr, /Failed to parse a\.ts: \.\/handlers: Identifier 'x' has already been declared\. \(3:6\)/);
+		});
+	});
+	
+	describe('Route manifest', () => {
+		it('should emit a manifest with params, greedy flags and source files', async () => {
+			const usersDir = path.join(routesDir, 'users');
+			const docsDir = path.join(routesDir, 'docs');
+			fs.mkdirSync(usersDir);
+			fs.mkdirSync(docsDir);
+			
+			fs.writeFileSync(path.join(usersDir, '[user_id].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(docsDir, '[...slug].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
 			
 			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			// index.ts should map to /api not /api/index
-			assert.match(generatedContent, /app\.get\('\/api'/);
-			assert.doesNotMatch(generatedContent, /\/api\/index/);
+			assert.match(generatedContent, /export const routes = \[/);
+			assert.match(generatedContent, /\{ method: 'GET', path: '\/users\/:user_id', params: \[\{ name: 'user_id', greedy: false \}\], file: 'users\/\[user_id\]\.ts' \}/);
+			assert.match(generatedContent, /\{ method: 'GET', path: '\/docs\/:slug\{\.\*\}', params: \[\{ name: 'slug', greedy: true \}\], file: 'docs\/\[\.\.\.slug\]\.ts' \}/);
 		});
 		
-		it('should handle files with no exports', async () => {
-			fs.writeFileSync(path.join(routesDir, 'utils.ts'), 
-				`const helper = () => console.log('helper');`);
-			fs.writeFileSync(path.join(routesDir, 'api.ts'), 
+		it('should emit typed route params and a url builder', async () => {
+			const usersDir = path.join(routesDir, 'users');
+			fs.mkdirSync(usersDir);
+			
+			fs.writeFileSync(path.join(routesDir, 'index.ts'),
 				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(usersDir, '[user_id].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });
+export const onRequestPut = (c) => c.json({ ok: true });`);
 			
 			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			assert.doesNotMatch(generatedContent, /utils/);
-			assert.match(generatedContent, /api\.onRequestGet/);
+			assert.match(generatedContent, /export type RouteParams = \{\s*'\/users\/:user_id': \{ 'user_id': string \| number; \};\s*'\/': \{\};\s*\};/);
+			assert.match(generatedContent, /export const url = <P extends RoutePath>\(/);
 		});
 		
-		it('should handle deeply nested dynamic routes', async () => {
-			const deepPath = path.join(routesDir, 'api', 'v1', 'users', '[userId]', 'posts');
-			fs.mkdirSync(deepPath, { recursive: true });
-			
-			fs.writeFileSync(path.join(deepPath, '[postId].ts'), 
-				`export const onRequestGet = (c) => c.json({ nested: true });`);
+		it('should not shadow generated names with route imports', async () => {
+			fs.writeFileSync(path.join(routesDir, 'url.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
 			
 			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			assert.match(generatedContent, /app\.get\('\/api\/v1\/users\/:userId\/posts\/:postId'/);
+			assert.match(generatedContent, /import \* as url_ from '\.\/routes\/url'/);
+			assert.match(generatedContent, /app\.get\('\/url', url_\.onRequestGet\)/);
 		});
 	});
 	
-	describe('Greedy matching', () => {
-		it('should handle double-bracket greedy matching', async () => {
-			const apiDir = path.join(routesDir, 'api');
-			fs.mkdirSync(apiDir);
+	describe('Middleware', () => {
+		it('should register _middleware files for their directory subtree', async () => {
+			const usersDir = path.join(routesDir, 'users');
+			fs.mkdirSync(usersDir);
 			
-			fs.writeFileSync(path.join(apiDir, '[[path]].ts'), 
-				`export const onRequestGet = (c) => c.json({ greedy: true });`);
+			fs.writeFileSync(path.join(usersDir, '_middleware.ts'),
+				`export const onRequest = async (c, next) => { await next(); };`);
+			fs.writeFileSync(path.join(usersDir, '[id].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
 			
 			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			assert.match(generatedContent, /app\.get\('\/api\/:path\{\.\+\}'/);
+			assert.match(generatedContent, /import \* as users__middleware from '\.\/routes\/users\/_middleware'/);
+			assert.match(generatedContent, /app\.use\('\/users\/\*', users__middleware\.onRequest\)/);
+			assert.doesNotMatch(generatedContent, /app\.get\('\/users\/_middleware'/);
 		});
 		
-		it('should handle spread syntax for catch-all routes', async () => {
-			const docsDir = path.join(routesDir, 'docs');
-			fs.mkdirSync(docsDir);
+		it('should register middleware outermost first and before any handler', async () => {
+			const nestedDir = path.join(routesDir, 'api', '[version]');
+			fs.mkdirSync(nestedDir, { recursive: true });
 			
-			fs.writeFileSync(path.join(docsDir, '[...slug].ts'), 
-				`export const onRequestGet = (c) => c.json({ catchAll: true });`);
+			fs.writeFileSync(path.join(routesDir, 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(nestedDir, '_middleware.ts'),
+				`export const onRequest = [async (c, next) => { await next(); }];`);
+			fs.writeFileSync(path.join(routesDir, 'api', '_middleware.ts'),
+				`export const onRequest = async (c, next) => { await next(); };`);
+			fs.writeFileSync(path.join(routesDir, '_middleware.ts'),
+				`export const onRequest = async (c, next) => { await next(); };`);
 			
 			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			assert.match(generatedContent, /app\.get\('\/docs\/:slug\{\.\*\}'/);
+			const rootIndex = generatedContent.indexOf(`app.use('/*'`);
+			const apiIndex = generatedContent.indexOf(`app.use('/api/*'`);
+			const versionIndex = generatedContent.indexOf(`app.use('/api/:version/*', ...`);
+			const handlerIndex = generatedContent.indexOf(`app.get('/'`);
+			
+			assert(rootIndex !== -1 && apiIndex !== -1 && versionIndex !== -1);
+			assert(rootIndex < apiIndex, 'Root middleware should come before nested middleware');
+			assert(apiIndex < versionIndex, 'Parent middleware should come before child middleware');
+			assert(versionIndex < handlerIndex, 'Middleware should come before handlers');
 		});
-		
-		it('should sort greedy routes after static and dynamic routes', async () => {
-			const apiDir = path.join(routesDir, 'api');
-			fs.mkdirSync(apiDir);
+	});
+	
+	describe('Route groups', () => {
+		it('should leave (group) directories out of the URL', async () => {
+			const groupDir = path.join(routesDir, '(admin)');
+			fs.mkdirSync(path.join(groupDir, 'settings'), { recursive: true });
 			
-			// Create routes in reverse priority order
-			fs.writeFileSync(path.join(apiDir, '[[blob]].ts'), 
-				`export const onRequestGet = (c) => c.json({ type: 'greedy' });`);
-			fs.writeFileSync(path.join(apiDir, '[id].ts'), 
-				`export const onRequestGet = (c) => c.json({ type: 'dynamic' });`);
-			fs.writeFileSync(path.join(apiDir, 'users.ts'), 
-				`export const onRequestGet = (c) => c.json({ type: 'static' });`);
+			fs.writeFileSync(path.join(groupDir, 'users.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(groupDir, 'settings', 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
 			
 			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			const usersIndex = generatedContent.indexOf('/api/users');
-			const dynamicIndex = generatedContent.indexOf('/api/:id');
-			const greedyIndex = generatedContent.indexOf('/api/:blob{.+}');
-			
-			assert(usersIndex < dynamicIndex, 'Static route should come before dynamic route');
-			assert(dynamicIndex < greedyIndex, 'Dynamic route should come before greedy route');
+			assert.match(generatedContent, /import \* as admin_users from '\.\/routes\/\(admin\)\/users'/);
+			assert.match(generatedContent, /app\.get\('\/users', admin_users\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/settings', admin_settings_index\.onRequestGet\)/);
 		});
 		
-		it('should handle nested greedy routes', async () => {
-			const v1Dir = path.join(routesDir, 'api', 'v1');
-			fs.mkdirSync(v1Dir, { recursive: true });
+		it('should apply group middleware only to the routes in the group', async () => {
+			const adminDir = path.join(routesDir, '(admin)');
+			const publicDir = path.join(routesDir, '(public)');
+			fs.mkdirSync(adminDir);
+			fs.mkdirSync(publicDir);
 			
-			fs.writeFileSync(path.join(v1Dir, '[[...rest]].ts'), 
-				`export const onRequestGet = (c) => c.json({ rest: true });`);
+			fs.writeFileSync(path.join(adminDir, '_middleware.ts'),
+				`export const onRequest = async (c, next) => { await next(); };`);
+			fs.writeFileSync(path.join(adminDir, 'users.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(publicDir, 'about.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
 			
 			const result = await runCLI([routesDir, outputFile]);
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			assert.match(generatedContent, /app\.get\('\/api\/v1\/:rest\{\.\*\}'/);
+			assert.doesNotMatch(generatedContent, /app\.use\(/);
+			assert.match(generatedContent, /app\.get\('\/users', admin__middleware\.onRequest, admin_users\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/about', public_about\.onRequestGet\)/);
+		});
+	});
+	
+	describe('Route conflicts', () => {
+		it('should fail on the same route defined by two files', async () => {
+			const usersDir = path.join(routesDir, 'users');
+			fs.mkdirSync(usersDir);
+			
+			fs.writeFileSync(path.join(usersDir, '[id].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(usersDir, '[user_id].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });
+export const onRequestPost = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.notStrictEqual(result.code, 0);
+			assert.match(result.stderr, /GET \/users\/:id is defined by more than one file: users\/\[id\]\.ts, users\/\[user_id\]\.ts/);
+			assert.doesNotMatch(result.stderr, /POST/);
+			assert(!fs.existsSync(outputFile), 'Router should not be written');
 		});
 		
-		it('should handle multiple greedy parameters in path', async () => {
-			const proxyDir = path.join(routesDir, 'proxy', '[[host]]');
-			fs.mkdirSync(proxyDir, { recursive: true });
+		it('should fail on an index file duplicating a sibling file', async () => {
+			fs.mkdirSync(path.join(routesDir, 'about'));
 			
-			fs.writeFileSync(path.join(proxyDir, '[[...path]].ts'), 
-				`export const onRequestGet = (c) => c.json({ proxy: true });`);
+			fs.writeFileSync(path.join(routesDir, 'about.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'about', 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
 			
 			const result = await runCLI([routesDir, outputFile]);
-			assert.strictEqual(result.code, 0);
+			assert.notStrictEqual(result.code, 0);
+			assert.match(result.stderr, /GET \/about is defined by more than one file/);
+		});
+		
+		it('should fail on file names Hono would read as route syntax', async () => {
+			fs.writeFileSync(path.join(routesDir, ':id.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'a*b.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
 			
-			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			assert.match(generatedContent, /app\.get\('\/proxy\/:host\{\.\+\}\/:path\{\.\*\}'/);
+			const result = await runCLI([routesDir, outputFile]);
+			assert.notStrictEqual(result.code, 0);
+			assert.match(result.stderr, /:id\.ts can't be routed/);
+			assert.match(result.stderr, /a\*b\.ts can't be routed/);
 		});
 		
-		it('should handle greedy routes with multiple HTTP methods', async () => {
-			const restDir = path.join(routesDir, 'rest');
-			fs.mkdirSync(restDir);
+		it('should fail on routes shadowed by an earlier greedy route', async () => {
+			const greedyDir = path.join(routesDir, 'files', '[owner]');
+			const shadowedDir = path.join(routesDir, 'files', '[[path]]');
+			fs.mkdirSync(greedyDir, { recursive: true });
+			fs.mkdirSync(shadowedDir, { recursive: true });
 			
-			const routeContent = `
-export const onRequestGet = (c) => c.json({ method: 'GET' });
-export const onRequestPost = (c) => c.json({ method: 'POST' });
-export const onRequestPut = (c) => c.json({ method: 'PUT' });
-export const onRequestDelete = (c) => c.json({ method: 'DELETE' });`;
-			fs.writeFileSync(path.join(restDir, '[[...path]].ts'), routeContent);
+			fs.writeFileSync(path.join(greedyDir, '[...rest].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(shadowedDir, 'raw.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
 			
 			const result = await runCLI([routesDir, outputFile]);
+			assert.notStrictEqual(result.code, 0);
+			assert.match(result.stderr, /GET \/files\/:path\{\.\+\}\/raw \(files\/\[\[path\]\]\/raw\.ts\) is unreachable: GET \/files\/:owner\/:rest\{\.\*\}/);
+		});
+		
+		it('should keep watching when routes conflict in watch mode', async () => {
+			fs.mkdirSync(path.join(routesDir, 'about'));
+			fs.writeFileSync(path.join(routesDir, 'about.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'about', 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile, '--watch']);
+			assert.match(result.stderr, /is defined by more than one file/);
+			assert.match(result.stdout, /Watching for changes/);
+		});
+	});
+	
+	describe('Programmatic API', () => {
+		it('should be importable without side effects', async () => {
+			const child = spawn('node', ['-e', `
+const api = require(${JSON.stringify(path.join(__dirname, 'index.js'))});
+console.log(typeof api.generateRoutes);`]);
+			let stdout = '';
+			child.stdout.on('data', (data) => {
+				stdout += data.toString();
+			});
+			const code = await new Promise((resolve) => child.on('close', resolve));
+			assert.strictEqual(code, 0);
+			assert.strictEqual(stdout.trim(), 'function');
+		});
+		
+		it('should report unexpected CLI failures as errors', async () => {
+			const result = await runCLI([path.join(tempDir, 'missing'), outputFile]);
+			assert.strictEqual(result.code, 1);
+			assert.match(result.stderr, /Error: ENOENT: no such file or directory/);
+			assert.doesNotMatch(result.stderr, /\n\s+at /);
+		});
+		
+		it('should return the routes and generated source', () => {
+			const { generateRoutes } = require('./index.js');
+			fs.writeFileSync(path.join(routesDir, 'api.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = generateRoutes({ routesDir, outFile: outputFile, silent: true });
+			assert.deepStrictEqual(result.conflicts, []);
+			assert.strictEqual(result.routes.length, 1);
+			assert.strictEqual(result.routes[0].method, 'GET');
+			assert.strictEqual(result.routes[0].path, '/api');
+			assert.match(result.source, /app\.get\('\/api', api\.onRequestGet\)/);
+			assert.strictEqual(fs.readFileSync(outputFile, 'utf-8'), result.source);
+		});
+		
+		it('should not write the router when write is false', () => {
+			const { generateRoutes } = require('./index.js');
+			fs.writeFileSync(path.join(routesDir, 'api.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = generateRoutes({ routesDir, outFile: outputFile, write: false, silent: true });
+			assert.match(result.source, /app\.get\('\/api'/);
+			assert(!fs.existsSync(outputFile), 'Router should not be written');
+		});
+		
+		it('should serve the router as a virtual module with the esbuild plugin', async () => {
+			const esbuild = require('esbuild');
+			const honoRouter = require('./plugins/esbuild.js');
+			fs.writeFileSync(path.join(routesDir, 'api.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await esbuild.build({
+				stdin: {
+					contents: `export { loadRoutes, routes } from 'virtual:hono-routes';`,
+					resolveDir: tempDir,
+				},
+				bundle: true,
+				write: false,
+				format: 'esm',
+				external: ['hono'],
+				plugins: [honoRouter({ routesDir })],
+				logLevel: 'silent',
+			});
+			const output = result.outputFiles[0].text;
+			assert.match(output, /app\.get\("\/api", onRequestGet\)/);
+		});
+		
+		it('should report route conflicts as esbuild errors', async () => {
+			const esbuild = require('esbuild');
+			const honoRouter = require('./plugins/esbuild.js');
+			fs.mkdirSync(path.join(routesDir, 'about'));
+			fs.writeFileSync(path.join(routesDir, 'about.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'about', 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			await assert.rejects(
+				esbuild.build({
+					stdin: { contents: `import 'virtual:hono-routes';`, resolveDir: tempDir },
+					bundle: true,
+					write: false,
+					plugins: [honoRouter({ routesDir })],
+					logLevel: 'silent',
+				}),
+				/route conflict/
+			);
+		});
+	});
+	
+	describe('Config file', () => {
+		it('should combine routes directories sharing an out file', async () => {
+			const apiDir = path.join(tempDir, 'api');
+			const webDir = path.join(tempDir, 'web');
+			fs.mkdirSync(apiDir);
+			fs.mkdirSync(webDir);
+			
+			fs.writeFileSync(path.join(apiDir, 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(apiDir, '_middleware.ts'),
+				`export const onRequest = async (c, next) => { await next(); };`);
+			fs.writeFileSync(path.join(webDir, 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(tempDir, 'hono-router.config.json'), JSON.stringify({
+				routes: [
+					{ dir: 'api', prefix: '/api/v2', out: 'router.ts' },
+					{ dir: 'web', prefix: '/', out: 'router.ts' },
+				],
+			}));
+			
+			const result = await runCLI([], { cwd: tempDir });
 			assert.strictEqual(result.code, 0);
 			
 			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
-			assert.match(generatedContent, /app\.get\('\/rest\/:path\{\.\*\}', rest_path\.onRequestGet\)/);
-			assert.match(generatedContent, /app\.post\('\/rest\/:path\{\.\*\}', rest_path\.onRequestPost\)/);
-			assert.match(generatedContent, /app\.put\('\/rest\/:path\{\.\*\}', rest_path\.onRequestPut\)/);
-			assert.match(generatedContent, /app\.delete\('\/rest\/:path\{\.\*\}', rest_path\.onRequestDelete\)/);
+			assert.match(generatedContent, /import \* as api_index from '\.\/api'/);
+			assert.match(generatedContent, /import \* as web_index from '\.\/web'/);
+			assert.match(generatedContent, /app\.use\('\/api\/v2\/\*', api__middleware\.onRequest\)/);
+			assert.match(generatedContent, /app\.get\('\/api\/v2', api_index\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/', web_index\.onRequestGet\)/);
+		});
+		
+		it('should generate a router per out file from a --config file', async () => {
+			const configDir = path.join(tempDir, 'config');
+			fs.mkdirSync(configDir);
+			
+			fs.writeFileSync(path.join(routesDir, 'users.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(configDir, 'routers.config.js'), `
+module.exports = {
+	prefix: '/v1',
+	routes: [
+		{ dir: '../routes', out: '../a.ts' },
+		{ dir: '../routes', prefix: '/v2', out: '../b.ts' },
+	],
+};`);
+			
+			const result = await runCLI(['--config', path.join(configDir, 'routers.config.js')]);
+			assert.strictEqual(result.code, 0);
+			
+			assert.match(fs.readFileSync(path.join(tempDir, 'a.ts'), 'utf-8'), /app\.get\('\/v1\/users', users\.onRequestGet\)/);
+			assert.match(fs.readFileSync(path.join(tempDir, 'b.ts'), 'utf-8'), /app\.get\('\/v2\/users', users\.onRequestGet\)/);
+		});
+		
+		it('should apply ignore globs and extensions from the config', async () => {
+			fs.mkdirSync(path.join(routesDir, '__tests__'));
+			
+			fs.writeFileSync(path.join(routesDir, 'users.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'users.test.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, '__tests__', 'helper.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'page.tsx'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(tempDir, 'hono-router.config.json'), JSON.stringify({
+				dir: 'routes',
+				out: 'router.ts',
+				extensions: ['.ts'],
+				ignore: ['**/*.test.ts', '**/__tests__'],
+			}));
+			
+			const result = await runCLI([], { cwd: tempDir });
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/users', users\.onRequestGet\)/);
+			assert.doesNotMatch(generatedContent, /users\.test|__tests__|page/);
+		});
+		
+		it('should mount routes under --prefix', async () => {
+			fs.writeFileSync(path.join(routesDir, 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile, '--prefix', '/api']);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/api', index\.onRequestGet\)/);
+		});
+		
+		it('should report config entries without an out file', async () => {
+			fs.writeFileSync(path.join(tempDir, 'hono-router.config.json'), JSON.stringify({
+				routes: [{ dir: 'routes' }],
+			}));
+			
+			const result = await runCLI([], { cwd: tempDir });
+			assert.notStrictEqual(result.code, 0);
+			assert.match(result.stderr, /Config routes\[0\] needs a dir and an out file/);
+		});
+	});
+	
+	describe('CLI flags', () => {
+		it('should run in single-shot mode by default', async () => {
+			fs.writeFileSync(path.join(routesDir, 'test.ts'), 
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			assert.doesNotMatch(result.stdout, /Watching for changes/);
+		});
+		
+		it('should enter watch mode with --watch flag', async () => {
+			fs.writeFileSync(path.join(routesDir, 'test.ts'), 
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile, '--watch']);
+			assert.match(result.stdout, /Watching for changes/);
+		});
+		
+		it('should enter watch mode with -w flag', async () => {
+			fs.writeFileSync(path.join(routesDir, 'test.ts'), 
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile, '-w']);
+			assert.match(result.stdout, /Watching for changes/);
+		});
+		
+		it('should handle --deno flag for Deno compatibility', async () => {
+			fs.writeFileSync(path.join(routesDir, 'index.ts'), 
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile, '--deno']);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			// With --deno flag, should include file extension in import path
+			assert.match(generatedContent, /from '\.\/routes\/index\.ts'/);
+		});
+		
+		it('should handle JavaScript route files', async () => {
+			fs.writeFileSync(path.join(routesDir, 'plain.js'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'page.jsx'),
+				`export const onRequestGet = (c) => c.html(<div>Hello</div>);`);
+			fs.writeFileSync(path.join(routesDir, 'module.mjs'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'typed.mts'),
+				`export const onRequestGet = <T>(c: T) => c;`);
+			fs.writeFileSync(path.join(routesDir, 'common.cts'),
+				`export const onRequestGet = (c: any) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /import \* as plain from '\.\/routes\/plain';/);
+			assert.match(generatedContent, /import \* as page from '\.\/routes\/page';/);
+			assert.match(generatedContent, /import \* as module from '\.\/routes\/module\.mjs';/);
+			assert.match(generatedContent, /import \* as typed from '\.\/routes\/typed\.mjs';/);
+			assert.match(generatedContent, /import \* as common from '\.\/routes\/common\.cjs';/);
+			assert.match(generatedContent, /app\.get\('\/module', module\.onRequestGet\)/);
+		});
+		
+		it('should import compiled .js files with --runtime node', async () => {
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, 'users', 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'page.tsx'),
+				`export const onRequestGet = (c) => c.html(<div>Hello</div>);`);
+			fs.writeFileSync(path.join(routesDir, 'typed.mts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile, '--runtime', 'node']);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /from '\.\/routes\/users\/index\.js'/);
+			assert.match(generatedContent, /from '\.\/routes\/page\.js'/);
+			assert.match(generatedContent, /from '\.\/routes\/typed\.mjs'/);
+		});
+		
+		it('should restrict route files with --extensions', async () => {
+			fs.writeFileSync(path.join(routesDir, 'typed.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'plain.js'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile, '--extensions', '.ts']);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /typed\.onRequestGet/);
+			assert.doesNotMatch(generatedContent, /plain/);
+		});
+		
+		it('should reject an unknown --runtime', async () => {
+			const result = await runCLI([routesDir, outputFile, '--runtime', 'browser']);
+			assert.notStrictEqual(result.code, 0);
+			assert.match(result.stderr, /Invalid runtime: browser/);
+		});
+		
+		it('should pass --check when the router is up to date', async () => {
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');`);
+			await runCLI([routesDir, outputFile]);
+			
+			const result = await runCLI([routesDir, outputFile, '--check']);
+			assert.strictEqual(result.code, 0);
+			assert.match(result.stdout, /is up to date/);
+		});
+		
+		it('should fail --check with a diff when the router is stale', async () => {
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');`);
+			await runCLI([routesDir, outputFile]);
+			fs.writeFileSync(path.join(routesDir, 'b.ts'),
+				`export const onRequestPost = (c) => c.text('b');`);
+			const before = fs.readFileSync(outputFile, 'utf-8');
+			
+			const result = await runCLI([routesDir, outputFile, '--check']);
+			assert.strictEqual(result.code, 1);
+			assert.match(result.stderr, /is out of date/);
+			assert.match(result.stdout, /^--- a\/.*router\.ts\n\+\+\+ b\/.*router\.ts\n@@ -\d+,\d+ \+\d+,\d+ @@/);
+			assert.match(result.stdout, /^\+import \* as b from '\.\/routes\/b';$/m);
+			assert.match(result.stdout, /^\+\tapp\.post\('\/b', b\.onRequestPost\);$/m);
+			assert.match(result.stdout, /^ \tapp\.get\('\/a', a\.onRequestGet\);$/m);
+			assert.strictEqual(fs.readFileSync(outputFile, 'utf-8'), before);
+		});
+		
+		it('should fail --check when the router is missing', async () => {
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');`);
+			
+			const result = await runCLI([routesDir, outputFile, '--check']);
+			assert.strictEqual(result.code, 1);
+			assert.match(result.stderr, /is missing/);
+			assert(!fs.existsSync(outputFile), 'Router should not be written');
+		});
+		
+		it('should print the router without writing it with --dry-run or --stdout', async () => {
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');`);
+			
+			for (const flag of ['--dry-run', '--stdout']) {
+				const result = await runCLI([routesDir, outputFile, flag]);
+				assert.strictEqual(result.code, 0);
+				assert.match(result.stdout, /^\nimport \{ Hono, Env \} from 'hono';/);
+				assert.match(result.stdout, /app\.get\('\/a', a\.onRequestGet\)/);
+				assert.doesNotMatch(result.stdout, /Routes generated/);
+				assert(!fs.existsSync(outputFile), 'Router should not be written');
+			}
+		});
+		
+		it('should show usage when arguments are missing', async () => {
+			const result = await runCLI([]);
+			assert.notStrictEqual(result.code, 0);
+			assert.match(result.stderr, /Usage: npx hono-router/);
+		});
+	});
+	
+	describe('Ignored files', () => {
+		it('should skip tests, type declarations, dot-files and private files', async () => {
+			const route = `export const onRequestGet = (c) => c.json({ ok: true });`;
+			fs.mkdirSync(path.join(routesDir, '_components'));
+			fs.mkdirSync(path.join(routesDir, 'node_modules', 'pkg'), { recursive: true });
+			fs.writeFileSync(path.join(routesDir, 'users.ts'), route);
+			fs.writeFileSync(path.join(routesDir, 'users.test.ts'), route);
+			fs.writeFileSync(path.join(routesDir, 'users.spec.js'), route);
+			fs.writeFileSync(path.join(routesDir, 'types.d.ts'), route);
+			fs.writeFileSync(path.join(routesDir, '.draft.ts'), route);
+			fs.writeFileSync(path.join(routesDir, '_helpers.ts'), route);
+			fs.writeFileSync(path.join(routesDir, '_components', 'card.tsx'), route);
+			fs.writeFileSync(path.join(routesDir, 'node_modules', 'pkg', 'index.js'), route);
+			fs.writeFileSync(path.join(routesDir, '_middleware.ts'),
+				`export const onRequest = async (c, next) => { await next(); };`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/users', users\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.use\('\/\*', middleware\.onRequest\)/);
+			assert.doesNotMatch(generatedContent, /test|spec|types|draft|helpers|card|pkg/);
+		});
+		
+		it('should respect .gitignore files up to the repository root', async () => {
+			const route = `export const onRequestGet = (c) => c.json({ ok: true });`;
+			fs.mkdirSync(path.join(tempDir, '.git'));
+			fs.mkdirSync(path.join(routesDir, 'generated'));
+			fs.mkdirSync(path.join(routesDir, 'drafts'));
+			fs.writeFileSync(path.join(tempDir, '.gitignore'), '# build output\nroutes/generated/\n*.local.ts\n');
+			fs.writeFileSync(path.join(routesDir, 'drafts', '.gitignore'), '*\n!keep.ts\n');
+			fs.writeFileSync(path.join(routesDir, 'users.ts'), route);
+			fs.writeFileSync(path.join(routesDir, 'users.local.ts'), route);
+			fs.writeFileSync(path.join(routesDir, 'generated', 'posts.ts'), route);
+			fs.writeFileSync(path.join(routesDir, 'drafts', 'keep.ts'), route);
+			fs.writeFileSync(path.join(routesDir, 'drafts', 'wip.ts'), route);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			let generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/users'/);
+			assert.match(generatedContent, /app\.get\('\/drafts\/keep'/);
+			assert.doesNotMatch(generatedContent, /local|posts|wip/);
+			
+			const unignored = await runCLI([routesDir, outputFile, '--no-gitignore']);
+			assert.strictEqual(unignored.code, 0);
+			
+			generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/users\.local'/);
+			assert.match(generatedContent, /app\.get\('\/generated\/posts'/);
+			assert.match(generatedContent, /app\.get\('\/drafts\/wip'/);
+		});
+		
+		it('should only generate routes matching --include and not --exclude', async () => {
+			const route = `export const onRequestGet = (c) => c.json({ ok: true });`;
+			fs.mkdirSync(path.join(routesDir, 'api'));
+			fs.mkdirSync(path.join(routesDir, 'admin'));
+			fs.writeFileSync(path.join(routesDir, 'index.ts'), route);
+			fs.writeFileSync(path.join(routesDir, 'api', 'users.ts'), route);
+			fs.writeFileSync(path.join(routesDir, 'api', 'internal.ts'), route);
+			fs.writeFileSync(path.join(routesDir, 'admin', 'stats.ts'), route);
+			
+			const result = await runCLI([
+				routesDir, outputFile,
+				'--include', 'api/**', '--include=admin/**',
+				'--exclude', '**/internal.ts',
+			]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/api\/users'/);
+			assert.match(generatedContent, /app\.get\('\/admin\/stats'/);
+			assert.doesNotMatch(generatedContent, /app\.get\('\/'|internal/);
+		});
+	});
+	
+	describe('Inspecting routes', () => {
+		beforeEach(() => {
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, '_middleware.ts'),
+				`export const onRequest = async (c, next) => next();`);
+			fs.writeFileSync(path.join(routesDir, 'users', 'index.ts'),
+				`export const onRequestGet = (c) => c.json([]);`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].ts'),
+				`export const onRequestGet = [async (c, next) => next(), (c) => c.json({})];
+export const onRequestDelete = (c) => c.body(null, 204);`);
+			fs.writeFileSync(path.join(routesDir, '[...rest].ts'),
+				`export const onRequest = (c) => c.text('fallback');`);
+		});
+		
+		it('should list routes as a table in registration order', async () => {
+			const result = await runCLI(['list', routesDir]);
+			assert.strictEqual(result.code, 0);
+			const lines = result.stdout.trim().split('\n');
+			assert.match(lines[0], /^#\s+METHOD\s+PATH\s+FILE\s+FACTORY$/);
+			assert.match(lines[1], /^1\s+USE\s+\/\*\s+\S+_middleware\.ts$/);
+			assert.match(lines[2], /^2\s+GET\s+\/users\/:id\s+\S+\[id\]\.ts\s+yes$/);
+			assert.match(lines[3], /^3\s+DELETE\s+\/users\/:id\s+\S+\[id\]\.ts$/);
+			assert.match(lines[lines.length - 1], /^5\s+ALL\s+\/:rest\{\.\*\}\s+\S+\[\.\.\.rest\]\.ts$/);
+			assert(!fs.existsSync(path.join(tempDir, 'router.ts')), 'Router should not be written');
+		});
+		
+		it('should list routes as JSON and as a tree', async () => {
+			const json = await runCLI(['list', routesDir, '--format', 'json']);
+			const routes = JSON.parse(json.stdout);
+			assert.deepStrictEqual(routes[1], {
+				priority: 2,
+				method: 'GET',
+				path: '/users/:id',
+				file: path.join(routesDir, 'users', '[id].ts'),
+				isFactory: true,
+				isMiddleware: false,
+				params: [{ name: 'id', greedy: false }],
+				middleware: [],
+			});
+			
+			const tree = await runCLI(['list', routesDir, '--format=tree']);
+			assert.strictEqual(tree.code, 0);
+			assert.strictEqual(tree.stdout.replaceAll(routesDir + path.sep, ''), [
+				'/',
+				'  users',
+				'    GET     users/index.ts  #4',
+				'    :id',
+				'      GET     users/[id].ts (factory)  #2',
+				'      DELETE  users/[id].ts  #3',
+				'  :rest{.*}',
+				'    ALL     [...rest].ts  #5',
+				'  *',
+				'    USE     _middleware.ts  #1',
+				'',
+			].join('\n'));
+		});
+		
+		it('should show the file and params that match a request', async () => {
+			const result = await runCLI(['match', routesDir, 'get', '/users/42?full=1']);
+			assert.strictEqual(result.code, 0);
+			assert.match(result.stdout, /GET \/users\/:id -> \S+\[id\]\.ts/);
+			assert.match(result.stdout, /id = 42/);
+			assert.match(result.stdout, /middleware: \S+_middleware\.ts/);
+			
+			const json = await runCLI(['match', routesDir, 'POST', '/docs/a%20b/c', '--format', 'json']);
+			assert.deepStrictEqual(JSON.parse(json.stdout), [{
+				method: 'ALL',
+				path: '/:rest{.*}',
+				file: path.join(routesDir, '[...rest].ts'),
+				params: { rest: 'docs/a b/c' },
+				middleware: [path.join(routesDir, '_middleware.ts')],
+			}]);
+		});
+		
+		it('should fail when no route matches a request', async () => {
+			fs.rmSync(path.join(routesDir, '[...rest].ts'));
+			
+			const result = await runCLI(['match', routesDir, 'POST', '/users']);
+			assert.strictEqual(result.code, 1);
+			assert.match(result.stderr, /No route matches POST \/users/);
+		});
+	});
+	
+	describe('Watch mode', () => {
+		const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+		
+		// Run the CLI in watch mode, make changes once it is watching, then stop it.
+		// `makeChanges` is passed a function that waits for new output matching a pattern
+		const watchCLI = async (args, makeChanges) => {
+			const child = spawn('node', [path.join(__dirname, 'index.js'), ...args, '--watch']);
+			let stdout = '';
+			child.stdout.on('data', (data) => {
+				stdout += data.toString();
+			});
+			child.stderr.on('data', (data) => {
+				stdout += data.toString();
+			});
+			const waitFor = async (pattern, timeout = 10000) => {
+				const start = Date.now();
+				const seen = stdout.length;
+				while (!pattern.test(stdout.slice(seen))) {
+					if (child.exitCode !== null || Date.now() - start > timeout) {
+						throw new Error(`Timed out waiting for ${pattern} in:\n${stdout}`);
+					}
+					await sleep(50);
+				}
+			};
+			await waitFor(/Watching for changes/);
+			try {
+				await makeChanges(waitFor);
+			} catch (error) {
+				child.kill();
+				throw error;
+			}
+			await sleep(1000);
+			child.kill();
+			await new Promise((resolve) => child.on('close', resolve));
+			return stdout;
+		};
+		
+		it('should regenerate once for a burst of changes', async () => {
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');`);
+			
+			const stdout = await watchCLI([routesDir, outputFile], async () => {
+				for (const name of ['b', 'c', 'd']) {
+					fs.writeFileSync(path.join(routesDir, `${name}.ts`),
+						`export const onRequestGet = (c) => c.text('${name}');`);
+				}
+			});
+			assert.strictEqual(stdout.match(/regenerating/g).length, 1);
+			assert.match(fs.readFileSync(outputFile, 'utf-8'), /app\.get\('\/d', d\.onRequestGet\)/);
+		});
+		
+		it('should survive errors and ignore the router in the routes directory', async () => {
+			const routerFile = path.join(routesDir, 'router.ts');
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');`);
+			
+			const stdout = await watchCLI([routesDir, routerFile], async (waitFor) => {
+				fs.writeFileSync(path.join(routesDir, 'broken.ts'), `export const onRequestGet = (c) => {`);
+				// The fix is only written once the broken file has been reported
+				await waitFor(/Failed to parse .*broken\.ts/);
+				fs.writeFileSync(path.join(routesDir, 'broken.ts'),
+					`export const onRequestGet = (c) => c.text('fixed');`);
+				await waitFor(/Routes generated in/);
+			});
+			assert.match(stdout, /Failed to parse .*broken\.ts/);
+			assert.strictEqual(stdout.match(/regenerating/g).length, 2);
+			const generatedContent = fs.readFileSync(routerFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/broken', broken\.onRequestGet\)/);
+			assert.doesNotMatch(generatedContent, /\/router/);
+		});
+		
+		it('should poll for changes with --poll', async () => {
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');`);
+			
+			const stdout = await watchCLI([routesDir, outputFile, '--poll'], async () => {
+				fs.writeFileSync(path.join(routesDir, 'b.ts'),
+					`export const onRequestPost = (c) => c.text('b');`);
+			});
+			assert.match(stdout, /Detected changes in .*b\.ts/);
+			assert.match(fs.readFileSync(outputFile, 'utf-8'), /app\.post\('\/b', b\.onRequestPost\)/);
+		});
+		
+		it('should not rewrite a router that is up to date', async () => {
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');`);
+			
+			await runCLI([routesDir, outputFile]);
+			const { mtimeMs } = fs.statSync(outputFile);
+			await sleep(50);
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			assert.match(result.stdout, /up to date/);
+			assert.strictEqual(fs.statSync(outputFile).mtimeMs, mtimeMs);
+		});
+		
+		it('should reparse files whose re-exported modules changed', () => {
+			const { generateRoutes } = require('./index.js');
+			fs.writeFileSync(path.join(routesDir, 'handlers.js'), `export const unused = 1;`);
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = (c) => c.text('a');
+export * from './handlers.js';`);
+			const cache = new Map();
+			const options = { routesDir, outFile: outputFile, cache, write: false, silent: true };
+			
+			assert.strictEqual(generateRoutes(options).routes.length, 1);
+			assert(cache.has(path.join(routesDir, 'a.ts')));
+			fs.writeFileSync(path.join(routesDir, 'handlers.js'),
+				`export const onRequestPost = (c) => c.text('post');`);
+			const future = new Date(Date.now() + 10000);
+			fs.utimesSync(path.join(routesDir, 'handlers.js'), future, future);
+			
+			assert.deepStrictEqual(
+				generateRoutes(options).routes.map(({ method, path }) => `${method} ${path}`),
+				['GET /a', 'POST /a', 'POST /handlers']
+			);
+		});
+	});
+	
+	describe('Lazy loading', () => {
+		it('should import route modules on demand with --lazy', async () => {
+			fs.writeFileSync(path.join(routesDir, 'users.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, '_middleware.ts'),
+				`export const onRequest = [async (c, next) => next()];`);
+			
+			const result = await runCLI([routesDir, outputFile, '--lazy']);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.doesNotMatch(generatedContent, /import \* as/);
+			assert.match(generatedContent, /const users = \(\) => import\('\.\/routes\/users'\);/);
+			assert.match(generatedContent, /app\.get\('\/users', lazy\(users, 'onRequestGet'\)\)/);
+			// Factories are resolved when the module loads, not spread up front
+			assert.match(generatedContent, /app\.use\('\/\*', lazy\(middleware, 'onRequest'\)\)/);
+		});
+		
+		it('should load modules on first request and run factory chains', async () => {
+			const esbuild = require('esbuild');
+			const { generateRoutes } = require('./index.js');
+			fs.mkdirSync(path.join(routesDir, '(admin)'));
+			fs.writeFileSync(path.join(routesDir, '(admin)', '_middleware.ts'),
+				`export const onRequest = async (c, next) => { await next(); c.header('x-admin', '1'); };`);
+			fs.writeFileSync(path.join(routesDir, '(admin)', 'users.ts'),
+				`globalThis.loaded = (globalThis.loaded ?? 0) + 1;
+export const onRequestGet = [async (c, next) => { c.set('who', 'admin'); await next(); }, (c) => c.text(c.get('who'))];`);
+			fs.writeFileSync(path.join(tempDir, 'app.ts'),
+				`import { Hono } from 'hono';
+import { loadRoutes } from './router';
+export const app = new Hono();
+loadRoutes(app);`);
+			generateRoutes({ routesDir, outFile: outputFile, lazy: true, silent: true });
+			
+			await esbuild.build({
+				entryPoints: [path.join(tempDir, 'app.ts')],
+				outfile: path.join(tempDir, 'app.cjs'),
+				bundle: true,
+				platform: 'node',
+				logLevel: 'silent',
+			});
+			const { app } = require(path.join(tempDir, 'app.cjs'));
+			
+			assert.strictEqual(globalThis.loaded, undefined);
+			for (let i = 0; i < 2; i++) {
+				const res = await app.request('/users');
+				assert.strictEqual(res.status, 200);
+				assert.strictEqual(res.headers.get('x-admin'), '1');
+				assert.strictEqual(await res.text(), 'admin');
+			}
+			assert.strictEqual(globalThis.loaded, 1);
+			delete globalThis.loaded;
+		});
+	});
+	
+	describe('Sub-apps', () => {
+		it('should mount a sub-app per directory with --sub-apps', async () => {
+			fs.mkdirSync(path.join(routesDir, 'users', '[id]', 'posts'), { recursive: true });
+			fs.writeFileSync(path.join(routesDir, 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'users', 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[id]', 'posts', 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'users', '_app.ts'),
+				`export default (app) => app.onError((err, c) => c.text(err.message, 500));`);
+			
+			const flat = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(flat.code, 0);
+			assert.match(flat.stdout, /users\/_app\.ts is only used with sub-apps/);
+			assert.doesNotMatch(fs.readFileSync(outputFile, 'utf-8'), /_app/);
+			
+			const result = await runCLI([routesDir, outputFile, '--sub-apps']);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			const lines = [
+				`const users_id_posts_app = new Hono<T>();`,
+				`users_id_posts_app.get('/', users_id_posts_index.onRequestGet);`,
+				`const users_app = users__app.default(new Hono<T>() as Hono<any>);`,
+				`users_app.get('/', users_index.onRequestGet);`,
+				`users_app.get('/:id', users_id.onRequestGet);`,
+				`users_app.route('/:id/posts', users_id_posts_app);`,
+				`app.get('/', index.onRequestGet);`,
+				`app.route('/users', users_app);`,
+			];
+			// Sub-apps are set up before they are mounted
+			lines.reduce((previous, line) => {
+				const index = generatedContent.indexOf(line);
+				assert(index > previous, `${line} should come next`);
+				return index;
+			}, -1);
+			// The manifest lists the routes in the order they are registered
+			assert.match(generatedContent, /path: '\/users\/:id', [^\n]*\n[^\n]*path: '\/users\/:id\/posts'/);
+		});
+		
+		it('should apply _app.ts customisations and notFound handlers at runtime', async () => {
+			const esbuild = require('esbuild');
+			const { generateRoutes } = require('./index.js');
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.mkdirSync(path.join(routesDir, 'admin'));
+			fs.writeFileSync(path.join(routesDir, 'about.ts'),
+				`export const onRequestGet = (c) => c.text('about');`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].ts'),
+				`export const onRequestGet = (c) => { if (c.req.param('id') === '0') throw new Error('no user'); return c.text(c.req.param('id')); };`);
+			fs.writeFileSync(path.join(routesDir, 'users', '_app.ts'),
+				`export default (app) => app.onError((err, c) => c.text(\`users: \${err.message}\`, 500));
+export const notFound = (c) => c.text('no such user page', 404);`);
+			fs.writeFileSync(path.join(routesDir, 'admin', 'index.ts'),
+				`export const onRequestGet = (c) => c.text('admin');`);
+			fs.writeFileSync(path.join(routesDir, 'admin', '_app.ts'),
+				`export default (app) => app.basePath('/v2');`);
+			fs.writeFileSync(path.join(tempDir, 'app.ts'),
+				`import { Hono } from 'hono';
+import { loadRoutes } from './router';
+export const app = new Hono();
+loadRoutes(app);`);
+			const { conflicts } = generateRoutes({ routesDir, outFile: outputFile, subApps: true, lazy: true, silent: true });
+			assert.deepStrictEqual(conflicts, []);
+			
+			await esbuild.build({
+				entryPoints: [path.join(tempDir, 'app.ts')],
+				outfile: path.join(tempDir, 'app.cjs'),
+				bundle: true,
+				platform: 'node',
+				logLevel: 'silent',
+			});
+			const { app } = require(path.join(tempDir, 'app.cjs'));
+			
+			const expected = {
+				'/about': [200, 'about'],
+				'/users/7': [200, '7'],
+				'/users/0': [500, 'users: no user'],
+				'/users/7/posts': [404, 'no such user page'],
+				'/admin/v2': [200, 'admin'],
+				'/admin': [404, '404 Not Found'],
+			};
+			for (const [url, [status, body]] of Object.entries(expected)) {
+				const res = await app.request(url);
+				assert.strictEqual(res.status, status, url);
+				assert.strictEqual(await res.text(), body, url);
+			}
+		});
+	});
+	
+	describe('Error and not-found handlers', () => {
+		it('should register _error.ts and _404.ts for their directory', async () => {
+			fs.mkdirSync(path.join(routesDir, 'api'));
+			fs.writeFileSync(path.join(routesDir, 'api', 'users.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, '_error.ts'),
+				`export const onError = (err, c) => c.html('<h1>Error</h1>', 500);`);
+			fs.writeFileSync(path.join(routesDir, '_404.ts'),
+				`export const notFound = (c) => c.html('<h1>Not found</h1>', 404);`);
+			fs.writeFileSync(path.join(routesDir, 'api', '_error.ts'),
+				`export const onError = (err, c) => c.json({ error: err.message }, 500);`);
+			fs.writeFileSync(path.join(routesDir, 'api', '_404.ts'),
+				`export const notFound = (c) => c.json({ error: 'Not found' }, 404);`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			assert.match(result.stdout, /ERROR \/api/);
+			assert.match(result.stdout, /NOT FOUND \/api/);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			const lines = [
+				`app.onError(error.onError);`,
+				`app.use('/api/*', catchError(api__error.onError));`,
+				`app.get('/api/users', api_users.onRequestGet);`,
+				`app.all('/api/*', api__404.notFound);`,
+				`app.notFound(_404.notFound);`,
+			];
+			lines.reduce((previous, line) => {
+				const index = generatedContent.indexOf(line);
+				assert(index > previous, `${line} should come next`);
+				return index;
+			}, -1);
+			
+			const subApps = await runCLI([routesDir, outputFile, '--sub-apps']);
+			assert.strictEqual(subApps.code, 0);
+			const subAppsContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.doesNotMatch(subAppsContent, /catchError/);
+			assert.match(subAppsContent, /api_app\.onError\(api__error\.onError\);/);
+			assert.match(subAppsContent, /api_app\.all\('\/\*', api__404\.notFound\);/);
+			assert.match(subAppsContent, /app\.route\('\/api', api_app\);/);
+			assert.match(subAppsContent, /app\.notFound\(_404\.notFound\);/);
+		});
+		
+		it('should answer with the innermost directory\'s handlers at runtime', async () => {
+			const esbuild = require('esbuild');
+			const { generateRoutes } = require('./index.js');
+			fs.mkdirSync(path.join(routesDir, 'api', 'v1'), { recursive: true });
+			fs.writeFileSync(path.join(routesDir, 'boom.ts'),
+				`export const onRequestGet = () => { throw new Error('page'); };`);
+			fs.writeFileSync(path.join(routesDir, 'api', 'v1', 'boom.ts'),
+				`export const onRequestGet = () => { throw new Error('api'); };`);
+			fs.writeFileSync(path.join(routesDir, 'api', '_middleware.ts'),
+				`export const onRequest = async (c, next) => { if (c.req.query('deny')) throw new Error('denied'); await next(); };`);
+			fs.writeFileSync(path.join(routesDir, '_error.ts'),
+				`export const onError = (err, c) => c.html(\`<h1>\${err.message}</h1>\`, 500);`);
+			fs.writeFileSync(path.join(routesDir, '_404.ts'),
+				`export const notFound = (c) => c.html('<h1>Not found</h1>', 404);`);
+			fs.writeFileSync(path.join(routesDir, 'api', '_error.ts'),
+				`export const onError = (err, c) => c.json({ error: err.message }, 500);`);
+			fs.writeFileSync(path.join(routesDir, 'api', '_404.ts'),
+				`export const notFound = (c) => c.json({ error: 'Not found' }, 404);`);
+			fs.writeFileSync(path.join(tempDir, 'app.ts'),
+				`import { Hono } from 'hono';
+import { loadRoutes } from './router';
+export const app = new Hono();
+loadRoutes(app);`);
+			
+			const expected = {
+				'/boom': [500, '<h1>page</h1>'],
+				'/nope': [404, '<h1>Not found</h1>'],
+				'/api/v1/boom': [500, '{"error":"api"}'],
+				'/api/v1/boom?deny=1': [500, '{"error":"denied"}'],
+				'/api/v1/nope': [404, '{"error":"Not found"}'],
+			};
+			for (const subApps of [false, true]) {
+				generateRoutes({ routesDir, outFile: outputFile, subApps, lazy: true, silent: true });
+				const outfile = path.join(tempDir, `app-${subApps}.cjs`);
+				await esbuild.build({
+					entryPoints: [path.join(tempDir, 'app.ts')],
+					outfile,
+					bundle: true,
+					platform: 'node',
+					logLevel: 'silent',
+				});
+				const { app } = require(outfile);
+				for (const [url, [status, body]] of Object.entries(expected)) {
+					const res = await app.request(url);
+					assert.strictEqual(res.status, status, url);
+					assert.strictEqual(await res.text(), body, url);
+				}
+			}
+		});
+		
+		it('should report a directory with two not-found handlers', async () => {
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, 'users', 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'users', '_404.ts'),
+				`export const notFound = (c) => c.json({ error: 'Not found' }, 404);`);
+			fs.writeFileSync(path.join(routesDir, 'users', '_app.ts'),
+				`export const notFound = (c) => c.text('Not found', 404);`);
+			
+			const result = await runCLI([routesDir, outputFile, '--sub-apps']);
+			assert.notStrictEqual(result.code, 0);
+			assert.match(result.stderr, /users\/_app\.ts: users\/_404\.ts already handles requests no route matches under \/users/);
+			assert(!fs.existsSync(outputFile));
+		});
+	});
+	
+	describe('RPC client', () => {
+		it('should chain the routes and export an AppType with --rpc', async () => {
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, 'users', 'index.ts'),
+				`export const onRequestGet = (c) => c.json({ users: [] });`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].ts'),
+				`export const onRequestGet = [async (c, next) => next(), (c) => c.json({ id: c.req.param('id') })];
+export const onRequestHead = (c) => c.body(null);`);
+			fs.writeFileSync(path.join(routesDir, '_middleware.ts'),
+				`export const onRequest = async (c, next) => next();`);
+			
+			const result = await runCLI([routesDir, outputFile, '--rpc']);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /\treturn app\n\t\t\.use\('\/\*', middleware\.onRequest\)\n/);
+			assert.match(generatedContent, /\n\t\t\.get\('\/users\/:id', \.\.\.users_id\.onRequestGet\)\n/);
+			// HEAD handlers run on GET, but are typed as HEAD routes
+			assert.match(generatedContent, /\n\t\t\.on\('GET' as 'HEAD', '\/users\/:id', onlyHead\(users_id\.onRequestHead\)\)\n/);
+			assert.match(generatedContent, /\n\t\t\.get\('\/users', users_index\.onRequestGet\);\n\};/);
+			assert.match(generatedContent, /export type AppType = ReturnType<typeof loadRoutes>;/);
+			assert.doesNotMatch(generatedContent, /\tapp\.get\(/);
+			
+			const lazy = await runCLI([routesDir, outputFile, '--rpc', '--lazy', '--sub-apps']);
+			assert.strictEqual(lazy.code, 0);
+			const lazyContent = fs.readFileSync(outputFile, 'utf-8');
+			// Stubs are typed as the handler that answers
+			assert.match(lazyContent, /type Loaded<H> =/);
+			assert.match(lazyContent, /const users_app = new Hono<T>\(\)\n\t\t\.get\('\/', lazy\(users_index, 'onRequestGet'\)\)/);
+			assert.match(lazyContent, /\treturn app\n\t\t\.use\('\/\*', lazy\(middleware, 'onRequest'\)\)\n\t\t\.route\('\/users', users_app\);/);
+		});
+		
+		it('should type the client with every route', async () => {
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.mkdirSync(path.join(routesDir, 'api'));
+			fs.writeFileSync(path.join(routesDir, 'api', 'items.ts'),
+				`import type { Context } from 'hono';
+export const config = { cors: true };
+export const onRequestPost = (c: Context) => c.json({ created: true }, 201);`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].ts'),
+				`import type { Context } from 'hono';
+export const onRequestGet = (c: Context) => c.json({ id: String(c.req.param('id')) });
+export const onRequestHead = (c: Context) => c.body(null, 204);`);
+			fs.writeFileSync(path.join(routesDir, 'ping.ts'),
+				`import type { Context } from 'hono';
+export const onRequestHead = (c: Context) => c.body(null);`);
+			const clientFile = path.join(tempDir, 'client.ts');
+			fs.writeFileSync(clientFile,
+				`import { hc } from 'hono/client';
+import type { AppType } from './router';
+const client = hc<AppType>('/');
+export const requests = async () => {
+	const created: { created: boolean } = await (await client.api.items.$post()).json();
+	const user: { id: string } = await (await client.users[':id'].$get({ param: { id: '7' } })).json();
+	await client.users[':id'].$head({ param: { id: '7' } });
+	await client.ping.$head();
+	// CORS preflights are answered by an OPTIONS route
+	await client.api.items.$options();
+	// @ts-expect-error
+	client.ping.$get;
+	return [created, user];
+};`);
+			
+			for (const flags of [['--rpc'], ['--rpc', '--lazy', '--sub-apps']]) {
+				const result = await runCLI([routesDir, outputFile, ...flags]);
+				assert.strictEqual(result.code, 0);
+				assert.deepStrictEqual(typeCheck([clientFile]), [], flags.join(' '));
+			}
+		});
+		
+		it('should return the app with its routes from loadRoutes', async () => {
+			const esbuild = require('esbuild');
+			const { generateRoutes } = require('./index.js');
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].ts'),
+				`export const onRequestGet = (c) => c.json({ id: c.req.param('id') });
+export const onRequestHead = (c) => c.body(null, 204);`);
+			fs.writeFileSync(path.join(routesDir, 'users', '_error.ts'),
+				`export const onError = (err, c) => c.json({ error: err.message }, 500);`);
+			fs.writeFileSync(path.join(routesDir, 'users', 'boom.ts'),
+				`export const onRequestGet = () => { throw new Error('boom'); };`);
+			fs.writeFileSync(path.join(tempDir, 'app.ts'),
+				`import { Hono } from 'hono';
+import { loadRoutes } from './router';
+export const app = loadRoutes(new Hono());`);
+			
+			for (const subApps of [false, true]) {
+				generateRoutes({ routesDir, outFile: outputFile, rpc: true, subApps, silent: true });
+				const outfile = path.join(tempDir, `app-${subApps}.cjs`);
+				await esbuild.build({
+					entryPoints: [path.join(tempDir, 'app.ts')],
+					outfile,
+					bundle: true,
+					platform: 'node',
+					logLevel: 'silent',
+				});
+				const { app } = require(outfile);
+				
+				const res = await app.request('/users/7');
+				assert.deepStrictEqual(await res.json(), { id: '7' });
+				assert.strictEqual((await app.request('/users/7', { method: 'HEAD' })).status, 204);
+				const boom = await app.request('/users/boom');
+				assert.strictEqual(boom.status, 500);
+				assert.deepStrictEqual(await boom.json(), { error: 'boom' });
+			}
+		});
+	});
+	
+	describe('Layouts and pages', () => {
+		it('should register _layout.tsx as layouts and default exports as pages', async () => {
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.mkdirSync(path.join(routesDir, '(admin)'));
+			fs.writeFileSync(path.join(routesDir, '_layout.tsx'),
+				`export default ({ children }) => <html><body>{children}</body></html>;`);
+			fs.writeFileSync(path.join(routesDir, 'users', '_layout.tsx'),
+				`export default ({ children }) => <main>{children}</main>;`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].tsx'),
+				`export default ({ id }) => <h1>User {id}</h1>;
+export const onRequestPost = (c) => c.text('posted');`);
+			fs.writeFileSync(path.join(routesDir, 'users', 'UserCard.tsx'),
+				`export default ({ id }) => <div>{id}</div>;`);
+			fs.writeFileSync(path.join(routesDir, 'about.tsx'),
+				`export default () => <h1>About</h1>;
+export const onRequestGet = (c) => c.render(<h1>About us</h1>);`);
+			fs.writeFileSync(path.join(routesDir, 'helpers.ts'),
+				`export default () => 'not a page';`);
+			fs.writeFileSync(path.join(routesDir, '(admin)', '_layout.tsx'),
+				`export default ({ children }) => <section>{children}</section>;`);
+			fs.writeFileSync(path.join(routesDir, '(admin)', 'settings.tsx'),
+				`export default () => <h1>Settings</h1>;`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			assert.match(result.stdout, /LAYOUT \/users\/\*/);
+			assert.match(result.stdout, /GET \/users\/:id \(page\)/);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /import \{ jsxRenderer \} from 'hono\/jsx-renderer';/);
+			assert(
+				generatedContent.indexOf("app.use('/*', renderLayout(layout.default));") <
+					generatedContent.indexOf("app.use('/users/*', renderLayout(users__layout.default));"),
+				'Outer layouts should be registered first'
+			);
+			assert.match(generatedContent, /app\.get\('\/users\/:id', renderPage\(users_id\.default\)\);/);
+			assert.match(generatedContent, /app\.post\('\/users\/:id', users_id\.onRequestPost\);/);
+			// A GET handler takes precedence over the default export
+			assert.match(generatedContent, /app\.get\('\/about', about\.onRequestGet\);/);
+			assert.doesNotMatch(generatedContent, /helpers|UserCard/);
+			// A group's layout is passed to each route in the group
+			assert.match(generatedContent, /app\.get\('\/settings', renderLayout\(admin__layout\.default\), renderPage\(admin_settings\.default\)\);/);
+			
+			const lazy = await runCLI([routesDir, outputFile, '--lazy']);
+			assert.strictEqual(lazy.code, 0);
+			assert.match(
+				fs.readFileSync(outputFile, 'utf-8'),
+				/app\.get\('\/users\/:id', lazy\(users_id, \(module\) => renderPage\(module\.default\)\)\);/
+			);
+		});
+		
+		it('should render pages with their params inside nested layouts', async () => {
+			const esbuild = require('esbuild');
+			const { generateRoutes } = require('./index.js');
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, '_layout.tsx'),
+				`export default ({ children }) => <html><body>{children}</body></html>;`);
+			fs.writeFileSync(path.join(routesDir, 'users', '_layout.tsx'),
+				`export default ({ children }, c) => <main data-path={c.req.path}>{children}</main>;`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].tsx'),
+				`export default async ({ id }) => <h1>User {id}</h1>;`);
+			fs.writeFileSync(path.join(routesDir, 'index.tsx'),
+				`export default () => <h1>Home</h1>;`);
+			fs.writeFileSync(path.join(tempDir, 'app.ts'),
+				`import { Hono } from 'hono';
+import { loadRoutes } from './router';
+export const app = new Hono();
+loadRoutes(app);`);
+			
+			for (const subApps of [false, true]) {
+				generateRoutes({ routesDir, outFile: outputFile, subApps, silent: true });
+				const outfile = path.join(tempDir, `app-${subApps}.cjs`);
+				await esbuild.build({
+					entryPoints: [path.join(tempDir, 'app.ts')],
+					outfile,
+					bundle: true,
+					platform: 'node',
+					jsx: 'automatic',
+					jsxImportSource: 'hono/jsx',
+					logLevel: 'silent',
+				});
+				const { app } = require(outfile);
+				
+				const user = await app.request('/users/7');
+				assert.strictEqual(user.headers.get('content-type'), 'text/html; charset=UTF-8');
+				assert.strictEqual(
+					await user.text(),
+					'<!DOCTYPE html><html><body><main data-path="/users/7"><h1>User 7</h1></main></body></html>'
+				);
+				assert.strictEqual(
+					await (await app.request('/')).text(),
+					'<!DOCTYPE html><html><body><h1>Home</h1></body></html>'
+				);
+			}
+		});
+		
+		it('should generate page and layout helpers that type-check', async () => {
+			fs.writeFileSync(path.join(routesDir, '_layout.tsx'),
+				`import type { PropsWithChildren } from 'hono/jsx';
+export default ({ children }: PropsWithChildren) => <html><body>{children}</body></html>;`);
+			fs.writeFileSync(path.join(routesDir, '[id].tsx'),
+				`export default ({ id }: { id: string }) => <h1>User {id}</h1>;`);
+			
+			for (const flags of [[], ['--lazy', '--sub-apps']]) {
+				const result = await runCLI([routesDir, outputFile, ...flags]);
+				assert.strictEqual(result.code, 0);
+				assert.deepStrictEqual(typeCheck([outputFile]), [], flags.join(' '));
+			}
+		});
+	});
+	
+	describe('Route resolution tests', () => {
+		it('should dispatch a sample request per route with test', async () => {
+			fs.cpSync(path.join(__dirname, 'test-depth', 'routes'), routesDir, { recursive: true });
+			fs.writeFileSync(path.join(routesDir, 'api', '[[path]].ts'),
+				`export const onRequestPost = (c) => c.text('fallback');
+export const onRequestHead = (c) => c.body(null);`);
+			
+			const result = await runCLI(['test', routesDir]);
+			assert.strictEqual(result.code, 0, result.stderr);
+			assert.match(result.stdout, /POST \/api\/recordings\/sample\/analysis\/rerun -> .*rerun\.ts/);
+			assert.match(result.stdout, /POST \/api\/sample\/sample -> .*\[\[path\]\]\.ts/);
+			assert.match(result.stdout, /HEAD \/api\/sample\/sample -> .*\[\[path\]\]\.ts/);
+			assert.match(result.stdout, /POST \/api\/sample -> .*\[\[path\]\]\.ts/);
+			assert.match(result.stdout, /9 of 9 requests reached their files/);
+			assert(!fs.existsSync(outputFile));
+		});
+		
+		it('should report routes that requests never reach', async () => {
+			const { testRoutes } = require('./index.js');
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, 'users', '[id=int].ts'),
+				`export const onRequestGet = (c) => c.text('int');`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[n=num].ts'),
+				`export const onRequestGet = (c) => c.text('num');`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[name].ts'),
+				`export const onRequest = (c) => c.text('name');`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[year=year].ts'),
+				`export const onRequestGet = (c) => c.text('year');`);
+			
+			const { results, errors } = await testRoutes({
+				routesDir,
+				outFile: outputFile,
+				matchers: { num: '\\d+', year: '[0-9]{4}' },
+			});
+			assert.deepStrictEqual(
+				results.map(({ route, url, status }) => [route.file, url, status]),
+				[
+					['users/[id=int].ts', '/users/1', 'pass'],
+					['users/[n=num].ts', '/users/1', 'fail'],
+					['users/[year=year].ts', undefined, 'skip'],
+					['users/[name].ts', '/users/sample', 'pass'],
+				]
+			);
+			assert.deepStrictEqual(errors, [
+				`GET /users/1 reached ${path.join(routesDir, 'users/[id=int].ts')} (GET /users/:id{[0-9]+}) instead of ${path.join(routesDir, 'users/[n=num].ts')} (GET /users/:n{\\d+})`,
+			]);
+		});
+		
+		it('should request the shortest URLs of greedy and optional routes', async () => {
+			const { testRoutes } = require('./index.js');
+			fs.mkdirSync(path.join(routesDir, 'docs'));
+			fs.mkdirSync(path.join(routesDir, 'posts'));
+			fs.writeFileSync(path.join(routesDir, 'docs', '[...path].ts'),
+				`export const onRequestGet = (c) => c.text('docs');`);
+			fs.writeFileSync(path.join(routesDir, '[slug].ts'),
+				`export const onRequestGet = (c) => c.text('slug');`);
+			fs.writeFileSync(path.join(routesDir, 'posts', '[page=int$].ts'),
+				`export const onRequestGet = (c) => c.text('posts');`);
+			
+			const { results, errors } = await testRoutes({ routesDir, outFile: outputFile });
+			assert.deepStrictEqual(
+				results.map(({ route, url, status }) => [route.file, url, status]),
+				[
+					['docs/[...path].ts', '/docs/sample/sample', 'pass'],
+					['docs/[...path].ts', '/docs', 'fail'],
+					['posts/[page=int$].ts', '/posts/1', 'pass'],
+					['posts/[page=int$].ts', '/posts', 'pass'],
+					['[slug].ts', '/sample', 'pass'],
+				]
+			);
+			// Hono doesn't match a zero-or-more param without its segment
+			assert.deepStrictEqual(errors, [
+				`GET /docs reached ${path.join(routesDir, '[slug].ts')} (GET /:slug) instead of ${path.join(routesDir, 'docs/[...path].ts')} (GET /docs/:path{.*})`,
+			]);
+		});
+		
+		it('should count URLs left to static routes as skipped', async () => {
+			const { testRoutes } = require('./index.js');
+			fs.mkdirSync(path.join(routesDir, 'docs'));
+			fs.writeFileSync(path.join(routesDir, 'docs', 'index.ts'),
+				`export const onRequestGet = (c) => c.text('index');`);
+			fs.writeFileSync(path.join(routesDir, 'docs', '[...path].ts'),
+				`export const onRequestGet = (c) => c.text('docs');`);
+			
+			const { results, errors } = await testRoutes({ routesDir, outFile: outputFile });
+			assert.deepStrictEqual(
+				results.map(({ route, url, status, reason }) => [route.file, url, status, reason]),
+				[
+					['docs/[...path].ts', '/docs/sample/sample', 'pass', undefined],
+					['docs/[...path].ts', '/docs', 'skip', 'shadowed by static route'],
+					['docs/index.ts', '/docs', 'pass', undefined],
+				]
+			);
+			assert.deepStrictEqual(errors, []);
+			
+			const result = await runCLI(['test', routesDir]);
+			assert.strictEqual(result.code, 0, result.stderr);
+			assert.match(result.stdout, /Skipped GET \/docs \(shadowed by static route\)/);
+			assert.match(result.stdout, /2 of 3 requests reached their files/);
+		});
+	});
+	
+	describe('Static export', () => {
+		it('should write the responses of static and listed dynamic routes with export', async () => {
+			fs.mkdirSync(path.join(routesDir, 'docs'));
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, '_layout.tsx'),
+				`export default ({ children }) => <html><body>{children}</body></html>;`);
+			fs.writeFileSync(path.join(routesDir, 'index.tsx'),
+				`export default () => <h1>Home</h1>;`);
+			fs.writeFileSync(path.join(routesDir, 'docs', '[...slug].tsx'),
+				`export const getStaticPaths = async () => [{ slug: 'guide/intro' }, { slug: ['api', 'hono'] }];
+export default ({ slug }) => <h1>{slug}</h1>;`);
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].ts'),
+				`export const getStaticPaths = () => [{ id: 1 }, { id: 2 }];
+export const onRequestGet = (c) => c.json({ id: c.req.param('id') });`);
+			fs.writeFileSync(path.join(routesDir, 'feed.xml.ts'),
+				`export const onRequestGet = (c) => c.body('<rss />', 200, { 'content-type': 'application/xml' });`);
+			
+			const outDir = path.join(tempDir, 'dist');
+			const result = await runCLI(['export', routesDir, '--out-dir', outDir]);
+			assert.strictEqual(result.code, 0, result.stderr);
+			assert.match(result.stdout, /Exported 6 pages/);
+			assert.strictEqual(
+				fs.readFileSync(path.join(outDir, 'index.html'), 'utf-8'),
+				'<!DOCTYPE html><html><body><h1>Home</h1></body></html>'
+			);
+			assert.strictEqual(
+				fs.readFileSync(path.join(outDir, 'docs', 'guide', 'intro', 'index.html'), 'utf-8'),
+				'<!DOCTYPE html><html><body><h1>guide/intro</h1></body></html>'
+			);
+			assert(fs.existsSync(path.join(outDir, 'docs', 'api', 'hono', 'index.html')));
+			assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(outDir, 'users', '2.json'), 'utf-8')), { id: '2' });
+			assert.strictEqual(fs.readFileSync(path.join(outDir, 'feed.xml'), 'utf-8'), '<rss />');
+			// Nothing is written next to the routes
+			assert(!fs.existsSync(outputFile));
+		});
+		
+		it('should skip dynamic routes without getStaticPaths and report failed requests', async () => {
+			const { exportStatic } = require('./index.js');
+			fs.writeFileSync(path.join(routesDir, '[name].ts'),
+				`export const onRequestGet = (c) => c.json({});`);
+			fs.writeFileSync(path.join(routesDir, 'gone.ts'),
+				`export const onRequestGet = (c) => c.notFound();`);
+			fs.writeFileSync(path.join(routesDir, 'ping.ts'),
+				`export const onRequestGet = (c) => c.text('pong');`);
+			fs.writeFileSync(path.join(routesDir, 'data.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });
+export const onRequestPost = (c) => c.json({ posted: true });`);
+			
+			const outDir = path.join(tempDir, 'dist');
+			const { pages, errors } = await exportStatic({ routesDir, outFile: outputFile, outDir, silent: true });
+			assert.deepStrictEqual(pages.map(({ url }) => url), ['/data']);
+			assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(outDir, 'data.json'), 'utf-8')), { ok: true });
+			assert.deepStrictEqual(errors, [`/gone (${path.join(routesDir, 'gone.ts')}) responded with 404`]);
+			// Plain text isn't exported, and nothing matches /:name without params
+			assert.deepStrictEqual(fs.readdirSync(outDir), ['data.json']);
+			
+			const result = await runCLI(['export', routesDir, '--out-dir', outDir]);
+			assert.strictEqual(result.code, 1);
+			assert.match(result.stderr, /\/gone .* responded with 404/);
+			assert.match(result.stdout, /Skipped \/:name/);
+		});
+		
+		it('should keep exporting after a route throws', async () => {
+			const { exportStatic } = require('./index.js');
+			fs.mkdirSync(path.join(routesDir, 'docs'));
+			fs.writeFileSync(path.join(routesDir, '_error.ts'),
+				`export const onError = (err) => { throw err; };`);
+			fs.writeFileSync(path.join(routesDir, 'a.ts'),
+				`export const onRequestGet = () => { throw new Error('boom'); };`);
+			fs.writeFileSync(path.join(routesDir, 'b.ts'),
+				`export const onRequestGet = (c) => new Response(new ReadableStream({
+	pull: (controller) => controller.error(new Error('stream broke')),
+}), { headers: { 'content-type': 'text/html' } });`);
+			fs.writeFileSync(path.join(routesDir, 'c.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'docs', '[...slug].ts'),
+				`export const getStaticPaths = () => [{ slug: '' }, { slug: [] }, { slug: 'intro' }];
+export const onRequestGet = (c) => c.json({ slug: c.req.param('slug') });`);
+			
+			const outDir = path.join(tempDir, 'dist');
+			const { pages, errors } = await exportStatic({ routesDir, outFile: outputFile, outDir, silent: true });
+			assert.deepStrictEqual(errors, [
+				`/a (${path.join(routesDir, 'a.ts')}) failed: boom`,
+				`/b (${path.join(routesDir, 'b.ts')}) failed: stream broke`,
+			]);
+			// An empty greedy param is the page of its directory
+			assert.deepStrictEqual(pages.map(({ url }) => url), ['/docs', '/docs/intro', '/c']);
+			assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(outDir, 'docs.json'), 'utf-8')), { slug: '' });
+			assert(!fs.existsSync(path.join(outDir, 'b.html')));
+		});
+	});
+	
+	describe('Validation', () => {
+		it('should wrap handlers with their validate exports', async () => {
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].ts'),
+				`export const validate = { param: idSchema };
+export const validateGet = { query: querySchema };
+export const onRequestGet = (c) => c.json({ ok: true });
+export const onRequestPost = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'plain.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /import \{ validator \} from 'hono\/validator';/);
+			assert.match(generatedContent, /app\.get\('\/users\/:id', validate\(users_id\.validate, users_id\.validateGet\), users_id\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.post\('\/users\/:id', validate\(users_id\.validate\), users_id\.onRequestPost\)/);
+			assert.match(generatedContent, /app\.get\('\/plain', plain\.onRequestGet\)/);
+		});
+		
+		it('should respond with a 400 when validation fails', async () => {
+			const esbuild = require('esbuild');
+			const { generateRoutes } = require('./index.js');
+			fs.writeFileSync(path.join(routesDir, '[id].ts'),
+				`const id = {
+	'~standard': {
+		version: 1,
+		vendor: 'test',
+		validate: (value) => /^\\d+$/.test(value.id)
+			? { value: { id: Number(value.id) } }
+			: { issues: [{ message: 'Expected a number', path: [{ key: 'id' }] }] },
+	},
+};
+export const validateGet = { param: id };
+export const onRequestGet = (c) => c.json(c.req.valid('param'));`);
+			fs.writeFileSync(path.join(tempDir, 'app.ts'),
+				`import { Hono } from 'hono';
+import { loadRoutes } from './router';
+export const app = new Hono();
+loadRoutes(app);`);
+			generateRoutes({ routesDir, outFile: outputFile, silent: true });
+			
+			await esbuild.build({
+				entryPoints: [path.join(tempDir, 'app.ts')],
+				outfile: path.join(tempDir, 'app.cjs'),
+				bundle: true,
+				platform: 'node',
+				logLevel: 'silent',
+			});
+			const { app } = require(path.join(tempDir, 'app.cjs'));
+			
+			const valid = await app.request('/42');
+			assert.strictEqual(valid.status, 200);
+			assert.deepStrictEqual(await valid.json(), { id: 42 });
+			
+			const invalid = await app.request('/abc');
+			assert.strictEqual(invalid.status, 400);
+			assert.deepStrictEqual(await invalid.json(), {
+				error: 'Invalid request',
+				target: 'param',
+				issues: [{ message: 'Expected a number', path: ['id'] }],
+			});
+		});
+	});
+	
+	describe('Route config', () => {
+		it('should add middleware for config exports before the handler', async () => {
+			fs.writeFileSync(path.join(routesDir, 'posts.ts'),
+				`export const config = { cache: '60s', cors: { origin: ['https://example.com'] } };
+export const configPost = { auth: 'editor', rateLimit: '10/min' };
+export const validatePost = { json: postSchema };
+export const onRequestGet = (c) => c.json([]);
+export const onRequestPost = (c) => c.json({}, 201);`);
+			fs.writeFileSync(path.join(routesDir, 'plain.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /import \{ cors \} from 'hono\/cors';/);
+			assert.match(generatedContent, /export const loadRoutes = <T extends Env>\(app: Hono<T>, routeOptions: RouteOptions = \{\}\) =>/);
+			// Preflight requests are answered with the CORS config of the method they ask for
+			assert.match(generatedContent, /app\.options\('\/posts', preflight\(\{ GET: \[posts\.config\], POST: \[posts\.config, posts\.configPost\] \}\)\);\n\tapp\.get\('\/posts'/);
+			assert.match(generatedContent, /app\.get\('\/posts', configure\(routeOptions, posts\.config\), posts\.onRequestGet\);/);
+			// Requests are checked against the config before they are validated
+			assert.match(generatedContent, /app\.post\('\/posts', configure\(routeOptions, posts\.config, posts\.configPost\), validate\(posts\.validatePost\), posts\.onRequestPost\);/);
+			assert.match(generatedContent, /app\.get\('\/plain', plain\.onRequestGet\);/);
+			assert.doesNotMatch(generatedContent, /app\.use\('\/plain'/);
+			
+			const lazy = await runCLI([routesDir, outputFile, '--lazy']);
+			assert.strictEqual(lazy.code, 0);
+			const lazyContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(
+				lazyContent,
+				/app\.options\('\/posts', lazy\(posts, \(module\) => preflight\(\{ GET: \[module\.config\], POST: \[module\.config, module\.configPost\] \}\)\)\);/
+			);
+			assert.match(
+				lazyContent,
+				/app\.get\('\/posts', lazy\(posts, \(module\) => configure\(routeOptions, module\.config\)\), lazy\(posts, 'onRequestGet'\)\);/
+			);
+			
+			// Files that handle OPTIONS themselves get no preflight route
+			fs.appendFileSync(path.join(routesDir, 'posts.ts'), `\nexport const onRequestOptions = (c) => c.body(null, 204);`);
+			await runCLI([routesDir, outputFile]);
+			assert.doesNotMatch(fs.readFileSync(outputFile, 'utf-8'), /preflight/);
+			
+			fs.rmSync(path.join(routesDir, 'posts.ts'));
+			await runCLI([routesDir, outputFile]);
+			assert.match(fs.readFileSync(outputFile, 'utf-8'), /export const loadRoutes = <T extends Env>\(app: Hono<T>\) =>/);
+		});
+		
+		it('should apply caching, CORS, auth and rate limits from config', async () => {
+			const esbuild = require('esbuild');
+			const { generateRoutes } = require('./index.js');
+			fs.writeFileSync(path.join(routesDir, 'posts.ts'),
+				`export const config = { cache: '1m', cors: { origin: 'https://example.com' } };
+export const configPost = { auth: 'editor', rateLimit: '2/min' };
+export const onRequestGet = (c) => c.json([]);
+export const onRequestPost = (c) => c.json({}, 201);`);
+			fs.writeFileSync(path.join(routesDir, 'drafts.ts'),
+				`export const config = { cache: '1m', auth: 'editor' };
+export const onRequestGet = (c) => c.json([]);`);
+			fs.writeFileSync(path.join(tempDir, 'app.ts'),
+				`import { Hono } from 'hono';
+import { loadRoutes } from './router';
+export const app = new Hono();
+let requests = 0;
+loadRoutes(app, {
+	verifyToken: (token, roles) => roles.includes(token),
+	rateLimit: (c, { limit }) => ++requests <= limit,
+});`);
+			generateRoutes({ routesDir, outFile: outputFile, silent: true });
+			
+			await esbuild.build({
+				entryPoints: [path.join(tempDir, 'app.ts')],
+				outfile: path.join(tempDir, 'app.cjs'),
+				bundle: true,
+				platform: 'node',
+				logLevel: 'silent',
+			});
+			const { app } = require(path.join(tempDir, 'app.cjs'));
+			
+			const posts = await app.request('/posts', { headers: { origin: 'https://example.com' } });
+			assert.strictEqual(posts.status, 200);
+			assert.strictEqual(posts.headers.get('cache-control'), 'public, max-age=60');
+			assert.strictEqual(posts.headers.get('access-control-allow-origin'), 'https://example.com');
+			const cached = await app.request('/posts', { headers: { 'if-none-match': posts.headers.get('etag') } });
+			assert.strictEqual(cached.status, 304);
+			
+			const preflight = await app.request('/posts', {
+				method: 'OPTIONS',
+				headers: { origin: 'https://example.com', 'access-control-request-method': 'POST' },
+			});
+			assert.strictEqual(preflight.status, 204);
+			assert.match(preflight.headers.get('access-control-allow-methods'), /POST/);
+			
+			// Rejected requests count towards the rate limit too
+			// Shared caches must not store responses to authenticated requests
+			const drafts = await app.request('/drafts', { headers: { authorization: 'Bearer editor' } });
+			assert.strictEqual(drafts.status, 200);
+			assert.strictEqual(drafts.headers.get('cache-control'), 'private, max-age=60');
+			
+			const post = (token) => app.request('/posts', { method: 'POST', headers: { authorization: `Bearer ${token}` } });
+			assert.strictEqual((await post('reader')).status, 401);
+			const created = await post('editor');
+			assert.strictEqual(created.status, 201);
+			assert.strictEqual(created.headers.get('cache-control'), null);
+			const limited = await post('editor');
+			assert.strictEqual(limited.status, 429);
+			assert.strictEqual(limited.headers.get('retry-after'), '60');
+		});
+	});
+	
+	describe('OpenAPI', () => {
+		it('should write openapi.json next to the router with --openapi', async () => {
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.writeFileSync(path.join(routesDir, 'users', '[id].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });
+export const onRequestDelete = (c) => c.body(null, 204);`);
+			fs.writeFileSync(path.join(routesDir, '[...slug].ts'),
+				`export const onRequestGet = (c) => c.text('docs');
+export const onRequest = (c) => c.text('any');`);
+			
+			const result = await runCLI([routesDir, outputFile, '--openapi']);
+			assert.strictEqual(result.code, 0);
+			
+			const document = JSON.parse(fs.readFileSync(path.join(tempDir, 'openapi.json'), 'utf-8'));
+			assert.strictEqual(document.openapi, '3.1.0');
+			assert.strictEqual(document.info.title, 'hono-router');
+			assert.deepStrictEqual(Object.keys(document.paths['/users/{id}']), ['get', 'delete']);
+			assert.deepStrictEqual(document.paths['/users/{id}'].get.parameters, [
+				{ name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+			]);
+			// Catch-all handlers have no OpenAPI method
+			assert.deepStrictEqual(Object.keys(document.paths['/{slug}']), ['get']);
+		});
+		
+		it('should describe operations from meta and schema exports', async () => {
+			const { generateOpenAPI } = require('./index.js');
+			fs.writeFileSync(path.join(routesDir, 'users.ts'),
+				`export const meta = { summary: 'Users', tags: ['users'] };
+export const schemaGet = {
+	query: { type: 'object', properties: { page: { type: 'number' } } },
+	response: { type: 'array', items: { type: 'string' } },
+};
+export const schemaPost = {
+	json: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] },
+	responses: { 201: { description: 'Created user' } },
+};
+export const onRequestGet = (c) => c.json([]);
+export const onRequestPost = (c) => c.json({}, 201);`);
+			
+			const openapiFile = path.join(tempDir, 'spec.json');
+			const { document } = await generateOpenAPI({
+				routesDir,
+				outFile: outputFile,
+				openapi: { out: openapiFile, info: { title: 'Users API', version: '1.0.0' } },
+				silent: true,
+			});
+			assert.deepStrictEqual(JSON.parse(fs.readFileSync(openapiFile, 'utf-8')), document);
+			assert.strictEqual(document.info.title, 'Users API');
+			
+			const { get, post } = document.paths['/users'];
+			assert.strictEqual(get.summary, 'Users');
+			assert.deepStrictEqual(get.tags, ['users']);
+			assert.deepStrictEqual(get.parameters, [
+				{ name: 'page', in: 'query', required: false, schema: { type: 'number' } },
+			]);
+			assert.deepStrictEqual(get.responses['200'].content['application/json'].schema, {
+				type: 'array',
+				items: { type: 'string' },
+			});
+			assert.strictEqual(post.summary, 'Users');
+			assert.strictEqual(post.parameters, undefined);
+			assert.deepStrictEqual(post.requestBody.content['application/json'].schema.required, ['name']);
+			assert.deepStrictEqual(post.responses, { 201: { description: 'Created user' } });
+		});
+	});
+	
+	describe('Edge cases', () => {
+		it('should import any file name under a valid, unique identifier', async () => {
+			const route = `export const onRequestGet = (c) => c.json({ ok: true });`;
+			fs.mkdirSync(path.join(routesDir, 'v1.2'));
+			for (const file of ['sitemap.xml.ts', '2fa.ts', 'delete.ts', 'café.ts', 'hello world.ts', 'a-b.ts', 'a_b.ts', 'v1.2/index.ts']) {
+				fs.writeFileSync(path.join(routesDir, file), route);
+			}
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/sitemap\.xml', sitemap_xml\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/2fa', _2fa\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/delete', delete_\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/café', café\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/hello world', hello_world\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/a-b', a_b\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/a_b', a_b_2\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/v1\.2', v1_2_index\.onRequestGet\)/);
+			assert.doesNotThrow(() => parser.parse(generatedContent, { sourceType: 'module', plugins: ['typescript'] }));
+		});
+		
+		it('should escape quotes in paths and imports', async () => {
+			fs.mkdirSync(path.join(routesDir, "it's"));
+			fs.writeFileSync(path.join(routesDir, "it's", '[id].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile, '--lazy']);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /import\('\.\/routes\/it\\'s\/\[id\]'\)/);
+			assert.match(generatedContent, /app\.get\('\/it\\'s\/:id', lazy\(it_s_id, 'onRequestGet'\)\)/);
+			assert.match(generatedContent, /file: 'it\\'s\/\[id\]\.ts'/);
+			assert.doesNotThrow(() => parser.parse(generatedContent, { sourceType: 'module', plugins: ['typescript'] }));
+		});
+		
+		it('should handle empty routes directory', async () => {
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /export const loadRoutes/);
+			// Should have empty route definitions
+			assert.match(generatedContent, /=> \{\s*\};/);
+		});
+		
+		it('should handle index.ts files correctly', async () => {
+			const apiDir = path.join(routesDir, 'api');
+			fs.mkdirSync(apiDir);
+			
+			fs.writeFileSync(path.join(apiDir, 'index.ts'), 
+				`export const onRequestGet = (c) => c.json({ index: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			// index.ts should map to /api not /api/index
+			assert.match(generatedContent, /app\.get\('\/api'/);
+			assert.doesNotMatch(generatedContent, /\/api\/index/);
+		});
+		
+		it('should handle files with no exports', async () => {
+			fs.writeFileSync(path.join(routesDir, 'utils.ts'), 
+				`const helper = () => console.log('helper');`);
+			fs.writeFileSync(path.join(routesDir, 'api.ts'), 
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.doesNotMatch(generatedContent, /utils/);
+			assert.match(generatedContent, /api\.onRequestGet/);
+		});
+		
+		it('should handle deeply nested dynamic routes', async () => {
+			const deepPath = path.join(routesDir, 'api', 'v1', 'users', '[userId]', 'posts');
+			fs.mkdirSync(deepPath, { recursive: true });
+			
+			fs.writeFileSync(path.join(deepPath, '[postId].ts'), 
+				`export const onRequestGet = (c) => c.json({ nested: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/api\/v1\/users\/:userId\/posts\/:postId'/);
+		});
+	});
+	
+	describe('Greedy matching', () => {
+		it('should handle double-bracket greedy matching', async () => {
+			const apiDir = path.join(routesDir, 'api');
+			fs.mkdirSync(apiDir);
+			
+			fs.writeFileSync(path.join(apiDir, '[[path]].ts'), 
+				`export const onRequestGet = (c) => c.json({ greedy: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/api\/:path\{\.\+\}'/);
+		});
+		
+		it('should handle spread syntax for catch-all routes', async () => {
+			const docsDir = path.join(routesDir, 'docs');
+			fs.mkdirSync(docsDir);
+			
+			fs.writeFileSync(path.join(docsDir, '[...slug].ts'), 
+				`export const onRequestGet = (c) => c.json({ catchAll: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/docs\/:slug\{\.\*\}'/);
+		});
+		
+		it('should sort greedy routes after static and dynamic routes', async () => {
+			const apiDir = path.join(routesDir, 'api');
+			fs.mkdirSync(apiDir);
+			
+			// Create routes in reverse priority order
+			fs.writeFileSync(path.join(apiDir, '[[blob]].ts'), 
+				`export const onRequestGet = (c) => c.json({ type: 'greedy' });`);
+			fs.writeFileSync(path.join(apiDir, '[id].ts'), 
+				`export const onRequestGet = (c) => c.json({ type: 'dynamic' });`);
+			fs.writeFileSync(path.join(apiDir, 'users.ts'), 
+				`export const onRequestGet = (c) => c.json({ type: 'static' });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			const usersIndex = generatedContent.indexOf('/api/users');
+			const dynamicIndex = generatedContent.indexOf('/api/:id');
+			const greedyIndex = generatedContent.indexOf('/api/:blob{.+}');
+			
+			assert(usersIndex < dynamicIndex, 'Static route should come before dynamic route');
+			assert(dynamicIndex < greedyIndex, 'Dynamic route should come before greedy route');
+		});
+		
+		it('should handle nested greedy routes', async () => {
+			const v1Dir = path.join(routesDir, 'api', 'v1');
+			fs.mkdirSync(v1Dir, { recursive: true });
+			
+			fs.writeFileSync(path.join(v1Dir, '[[...rest]].ts'), 
+				`export const onRequestGet = (c) => c.json({ rest: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/api\/v1\/:rest\{\.\*\}'/);
+		});
+		
+		it('should handle multiple greedy parameters in path', async () => {
+			const proxyDir = path.join(routesDir, 'proxy', '[[host]]');
+			fs.mkdirSync(proxyDir, { recursive: true });
+			
+			fs.writeFileSync(path.join(proxyDir, '[[...path]].ts'), 
+				`export const onRequestGet = (c) => c.json({ proxy: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/proxy\/:host\{\.\+\}\/:path\{\.\*\}'/);
+		});
+		
+		it('should handle greedy routes with multiple HTTP methods', async () => {
+			const restDir = path.join(routesDir, 'rest');
+			fs.mkdirSync(restDir);
+			
+			const routeContent = `
+export const onRequestGet = (c) => c.json({ method: 'GET' });
+export const onRequestPost = (c) => c.json({ method: 'POST' });
+export const onRequestPut = (c) => c.json({ method: 'PUT' });
+export const onRequestDelete = (c) => c.json({ method: 'DELETE' });`;
+			fs.writeFileSync(path.join(restDir, '[[...path]].ts'), routeContent);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/rest\/:path\{\.\*\}', rest_path\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.post\('\/rest\/:path\{\.\*\}', rest_path\.onRequestPost\)/);
+			assert.match(generatedContent, /app\.put\('\/rest\/:path\{\.\*\}', rest_path\.onRequestPut\)/);
+			assert.match(generatedContent, /app\.delete\('\/rest\/:path\{\.\*\}', rest_path\.onRequestDelete\)/);
+		});
+	});
+	
+	describe('Optional and constrained params', () => {
+		it('should constrain params with matchers and try them before unconstrained params', async () => {
+			const itemsDir = path.join(routesDir, 'items');
+			fs.mkdirSync(itemsDir);
+			
+			fs.writeFileSync(path.join(itemsDir, '[slug].ts'),
+				`export const onRequestGet = (c) => c.json({ type: 'slug' });`);
+			fs.writeFileSync(path.join(itemsDir, '[id=int].ts'),
+				`export const onRequestGet = (c) => c.json({ type: 'int' });`);
+			fs.writeFileSync(path.join(itemsDir, '[key=uuid].ts'),
+				`export const onRequestGet = (c) => c.json({ type: 'uuid' });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/items\/:id\{\[0-9\]\+\}', items_id_int\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/items\/:key\{\[0-9a-fA-F\]\{8\}-/);
+			assert.match(generatedContent, /params: \[\{ name: 'id', greedy: false, pattern: '\[0-9\]\+' \}\]/);
+			assert(
+				generatedContent.indexOf("'/items/:id{") < generatedContent.indexOf("'/items/:slug'"),
+				'Constrained param should come before unconstrained param'
+			);
+		});
+		
+		it('should use matchers from the config', async () => {
+			fs.mkdirSync(path.join(routesDir, 'archive'));
+			fs.writeFileSync(path.join(routesDir, 'archive', '[year=year].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(tempDir, 'hono-router.config.json'), JSON.stringify({
+				dir: 'routes',
+				out: 'router.ts',
+				matchers: { year: '[0-9]{4}' },
+			}));
+			
+			const result = await runCLI([], { cwd: tempDir });
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/archive\/:year\{\[0-9\]\{4\}\}', archive_year_year\.onRequestGet\)/);
+		});
+		
+		it('should make a [param$] optional, after the route without it', async () => {
+			fs.mkdirSync(path.join(routesDir, 'users'));
+			fs.mkdirSync(path.join(routesDir, 'posts'));
+			
+			fs.writeFileSync(path.join(routesDir, 'users', '[id$].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'users.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, 'posts', '[page=int$].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.strictEqual(result.code, 0);
+			
+			const generatedContent = fs.readFileSync(outputFile, 'utf-8');
+			assert.match(generatedContent, /app\.get\('\/users\/:id\?', users_id\.onRequestGet\)/);
+			assert.match(generatedContent, /app\.get\('\/posts\/:page\{\[0-9\]\+\}\?', posts_page_int\.onRequestGet\)/);
+			assert.match(generatedContent, /'\/users\/:id\?': \{ 'id'\?: string \| number; \};/);
+			assert(
+				generatedContent.indexOf("app.get('/users',") < generatedContent.indexOf("app.get('/users/:id?',"),
+				'Route without the optional param should come first'
+			);
+			
+			const match = await runCLI(['match', routesDir, 'GET', '/posts', '--format', 'json']);
+			assert.strictEqual(match.code, 0);
+			assert.deepStrictEqual(JSON.parse(match.stdout)[0].params, {});
+		});
+		
+		it('should fail on unknown matchers and optional params before the last segment', async () => {
+			fs.mkdirSync(path.join(routesDir, '[org$]'));
+			fs.writeFileSync(path.join(routesDir, '[id=nope].ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			fs.writeFileSync(path.join(routesDir, '[org$]', 'members.ts'),
+				`export const onRequestGet = (c) => c.json({ ok: true });`);
+			
+			const result = await runCLI([routesDir, outputFile]);
+			assert.notStrictEqual(result.code, 0);
+			assert.match(result.stderr, /\[id=nope\]\.ts: Unknown matcher `nope` in \[id=nope\]/);
+			assert.match(result.stderr, /\[org\$\]\/members\.ts: Optional param \[org\$\] must be the last segment/);
+			assert(!fs.existsSync(outputFile));
 		});
 	});
 });
\ No newline at end of file
@@ -0,0 +1,39 @@
+const {
+  virtualModuleId,
+  virtualModulePath,
+  generateVirtualModule,
+  formatConflicts,
+} = require("./virtual.js");
+
+/**
+ * Bun plugin serving the generated router as `virtual:hono-routes`, for
+ * `Bun.build` or at runtime with `Bun.plugin`. The router is generated each
+ * time it is loaded, so `bun --hot` picks up new routes on reload
+ * @param {import("./virtual.js").PluginOptions} options
+ */
+const honoRouter = (options) => ({
+  name: "hono-router",
+  setup(build) {
+    const id = virtualModulePath(options);
+
+    // Resolving to a file path, rather than a custom namespace, makes Bun
+    // resolve the router's relative imports from the routes' parent directory
+    build.onResolve({ filter: new RegExp(`^${virtualModuleId}$`) }, () => ({
+      path: id,
+    }));
+
+    build.onLoad(
+      { filter: new RegExp(`^${id.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`) },
+      () => {
+        const { source, conflicts } = generateVirtualModule(options);
+        if (conflicts.length > 0) {
+          throw new Error(formatConflicts(conflicts));
+        }
+        return { contents: source, loader: "ts" };
+      }
+    );
+  },
+});
+
+module.exports = honoRouter;
+module.exports.default = honoRouter;
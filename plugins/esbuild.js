@@ -0,0 +1,45 @@
+const path = require("path");
+const {
+  virtualModuleId,
+  virtualModulePath,
+  generateVirtualModule,
+  formatConflicts,
+} = require("./virtual.js");
+
+/**
+ * esbuild plugin serving the generated router as `virtual:hono-routes`. In
+ * watch mode the router is regenerated when files in the routes directory
+ * are added, removed or changed
+ * @param {import("./virtual.js").PluginOptions} options
+ */
+const honoRouter = (options) => ({
+  name: "hono-router",
+  setup(build) {
+    const id = virtualModulePath(options);
+    // Rebuilds only parse the route files that changed
+    const cache = new Map();
+
+    build.onResolve(
+      { filter: new RegExp(`^${virtualModuleId}$`) },
+      () => ({ path: id, namespace: "hono-router" })
+    );
+
+    build.onLoad({ filter: /.*/, namespace: "hono-router" }, () => {
+      const { source, conflicts, files, dirs } = generateVirtualModule({
+        ...options,
+        cache,
+      });
+      return {
+        ...(conflicts.length > 0
+          ? { errors: [{ text: formatConflicts(conflicts) }] }
+          : { contents: source, loader: "ts" }),
+        resolveDir: path.dirname(id),
+        watchFiles: files,
+        watchDirs: dirs,
+      };
+    });
+  },
+});
+
+module.exports = honoRouter;
+module.exports.default = honoRouter;
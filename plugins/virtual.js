@@ -0,0 +1,63 @@
+const path = require("path");
+const { generateRoutes } = require("../index.js");
+
+/**
+ * The options of `generateRoutes`, other than those about the output file
+ * @typedef {Omit<import("../index.js").GenerateOptions, "outFile" | "write" | "silent">} PluginOptions
+ */
+
+/**
+ * Import specifier of the generated router
+ */
+const virtualModuleId = "virtual:hono-routes";
+
+/**
+ * Get the routes directories a plugin generates routes from
+ * @param {PluginOptions} options
+ * @returns {string[]}
+ */
+const routesDirs = (options) =>
+  (options.roots ?? [{ dir: options.routesDir }]).map(({ dir }) =>
+    path.resolve(dir)
+  );
+
+/**
+ * Get the path the virtual router stands in for. It sits next to the (first)
+ * routes directory, where a generated router.ts usually lives, so that its
+ * relative imports resolve the same way
+ * @param {PluginOptions} options
+ * @returns {string}
+ */
+const virtualModulePath = (options) =>
+  path.join(path.dirname(routesDirs(options)[0]), "hono-routes.virtual.ts");
+
+/**
+ * Generate the virtual router without writing it
+ * @param {PluginOptions} options
+ * @returns {import("../index.js").GenerateResult}
+ */
+const generateVirtualModule = (options) =>
+  generateRoutes({
+    ...options,
+    outFile: virtualModulePath(options),
+    write: false,
+    silent: true,
+  });
+
+/**
+ * Describe route conflicts as a single error message
+ * @param {string[]} conflicts
+ * @returns {string}
+ */
+const formatConflicts = (conflicts) =>
+  `hono-router found ${conflicts.length} route conflict${
+    conflicts.length === 1 ? "" : "s"
+  }:\n${conflicts.map((conflict) => `  ${conflict}`).join("\n")}`;
+
+module.exports = {
+  virtualModuleId,
+  routesDirs,
+  virtualModulePath,
+  generateVirtualModule,
+  formatConflicts,
+};
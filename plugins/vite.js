@@ -0,0 +1,82 @@
+const path = require("path");
+const {
+  virtualModuleId,
+  routesDirs,
+  virtualModulePath,
+  generateVirtualModule,
+  formatConflicts,
+} = require("./virtual.js");
+
+/**
+ * Vite plugin serving the generated router as `virtual:hono-routes`. The
+ * router is regenerated when files in the routes directory change, and the
+ * page reloads if the routes are different
+ * @param {import("./virtual.js").PluginOptions} options
+ */
+const honoRouter = (options) => {
+  const id = virtualModulePath(options);
+  const dirs = routesDirs(options);
+  /** @type {string | undefined} */
+  let source;
+  // Regenerating only parses the route files that changed
+  const cache = new Map();
+
+  /**
+   * Generate the router, failing on route conflicts
+   * @returns {string}
+   */
+  const load = () => {
+    const result = generateVirtualModule({ ...options, cache });
+    if (result.conflicts.length > 0) {
+      throw new Error(formatConflicts(result.conflicts));
+    }
+    return result.source;
+  };
+
+  return {
+    name: "hono-router",
+    enforce: "pre",
+    resolveId(specifier) {
+      if (specifier === virtualModuleId) return id;
+    },
+    load(loadId) {
+      // The id ends in `.ts`, so Vite transpiles the router like any other
+      // TypeScript module
+      if (loadId === id) {
+        source = load();
+        return source;
+      }
+    },
+    configureServer(server) {
+      server.watcher.add(dirs);
+
+      /**
+       * Regenerate the router after a change in the routes directory
+       * @param {string} file
+       */
+      const update = (file) => {
+        const changed = path.resolve(file);
+        if (!dirs.some((dir) => changed.startsWith(dir + path.sep))) return;
+        const module = server.moduleGraph.getModuleById(id);
+        if (!module) return;
+        let nextSource;
+        try {
+          nextSource = load();
+        } catch (error) {
+          server.config.logger.error(error.message);
+          return;
+        }
+        if (nextSource === source) return;
+        server.moduleGraph.invalidateModule(module);
+        server.ws.send({ type: "full-reload" });
+      };
+
+      server.watcher.on("add", update);
+      server.watcher.on("change", update);
+      server.watcher.on("unlink", update);
+    },
+  };
+};
+
+module.exports = honoRouter;
+module.exports.default = honoRouter;